@@ -0,0 +1,377 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for float.js. Converts numbers into floats and decodes floats, printing the sign, exponent and
+ * mantissa fields along with the value, either as text or as JSON.
+ *
+ * Example of usage:
+ * ```
+ * node float-cli.js --exp 4 --mant 3 --round nearest-even -2.25
+ * node float-cli.js decode 11000001
+ * node float-cli.js --format single --json 0.1
+ * node float-cli.js repl
+ * ```
+ *
+ * Run `node float-cli.js --help` for every option. With an alias (e.g. `alias float="node /path/to/float-cli.js"`), the
+ * commands become `float -e 4 -m 3 -2.25` and `float decode 11000001`.
+ *
+ * @summary Command-line interface and REPL for float.js.
+ */
+
+const readline = require("readline");
+const Float = require("./float.js");
+
+const USAGE = `Usage:
+  float [options] <number...>        Convert numbers into floats.
+  float [options] decode <bits...>   Decode floats, given as bits or hexadecimal (e.g. 0xC1).
+  float [options] repl               Start an interactive session.
+
+Options:
+  -e, --exp <bits>         Exponent bits (default: 4).
+  -m, --mant <bits>        Mantissa bits (default: 3).
+  -f, --format <name>      A named format instead: ${Object.keys(Float.Formats).join(", ")}.
+  -r, --round <mode>       Rounding mode: ${Object.values(Float.RoundingMode).join(", ")} (default: nearest-even).
+      --bias <bias>        Custom exponent bias.
+      --specials <policy>  Special values: ieee, nan (no infinities) or none (default: ieee).
+      --no-subnormals      Flush subnormal numbers to zero.
+      --no-hidden-bit      Store the leading significand bit in the mantissa.
+  -t, --trace              Print the steps of each conversion.
+  -j, --json               Print JSON instead of text.
+  -h, --help               Print this message.
+
+Without a format, decode picks it from the number of bits: 8 (1-4-3), 16 (half), 32 (single) or 64 (double).`;
+
+const REPL_HELP = `Commands:
+  <number>, encode <number>      Convert a number into a float.
+  decode <bits>                  Decode a float, given as bits or hexadecimal.
+  format [<exp> <mant>|<name>]   Show or change the format (e.g. "format 5 10" or "format half").
+  round [<mode>]                 Show or change the rounding mode.
+  json [on|off]                  Toggle JSON output.
+  trace [on|off]                 Toggle the steps of each conversion.
+  help                           Print this message.
+  exit                           Leave the session.`;
+
+/**
+ * Parses the command-line arguments. Negative numbers (e.g. -2.25 or -inf) are read as numbers, not as options.
+ *
+ * @param {string[]} argv
+ * @return {CliArguments}
+ */
+function parseArgs(argv) {
+	const options = { json: false, trace: false, round: Float.RoundingMode.NEAREST_EVEN, floatOptions: {} };
+	const positional = [];
+
+	for (let i = 0; i < argv.length; i++) {
+		let arg = argv[i];
+		let value = null;
+
+		if (arg === "--") {
+			positional.push(...argv.slice(i + 1));
+			break;
+		}
+
+		if (!arg.startsWith("-") || /^-(\d|\.\d|inf|nan|0x)/i.test(arg)) {
+			positional.push(arg);
+			continue;
+		}
+
+		if (arg.includes("=")) [arg, value] = [arg.substring(0, arg.indexOf("=")), arg.substring(arg.indexOf("=") + 1)];
+		const next = () => {
+			if (value !== null) return value;
+			if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+
+			return argv[++i];
+		};
+
+		switch (arg) {
+			case "-e": case "--exp": options.exp = parseBits(next(), arg); break;
+			case "-m": case "--mant": options.mant = parseBits(next(), arg); break;
+			case "-f": case "--format": options.format = next(); break;
+			case "-r": case "--round": options.round = next(); break;
+			case "--bias": options.floatOptions.bias = Number(next()); break;
+			case "--specials": options.floatOptions.specials = next(); break;
+			case "--no-subnormals": options.floatOptions.subnormals = false; break;
+			case "--no-hidden-bit": options.floatOptions.hiddenBit = false; break;
+			case "-t": case "--trace": options.trace = true; break;
+			case "-j": case "--json": options.json = true; break;
+			case "-h": case "--help": options.help = true; break;
+			default: throw new Error(`Unknown option: ${arg}`);
+		}
+	}
+
+	let command = "encode";
+	if (["encode", "decode", "repl"].includes(positional[0])) command = positional.shift();
+
+	return { command, args: positional, options };
+}
+
+function parseBits(value, option) {
+	const bits = Number(value);
+	if (!Number.isInteger(bits) || bits < 0) throw new Error(`Not a valid number of bits for ${option}: ${value}`);
+
+	return bits;
+}
+
+/**
+ * Builds the float described by the options. Without any format option, `bitLength` picks a named format.
+ *
+ * @param {CliOptions} options
+ * @param {number} [bitLength]
+ * @return {Float}
+ */
+function buildFormat(options, bitLength) {
+	if (options.format) {
+		const preset = Float.Formats[options.format];
+		if (!preset) throw new Error(`Unknown format: ${options.format}`);
+
+		return new Float(preset.expBits, preset.mantBits, { ...preset.options, ...options.floatOptions });
+	}
+
+	if (options.exp === undefined && options.mant === undefined && bitLength !== undefined && bitLength !== 8) {
+		const name = { 16: "half", 32: "single", 64: "double" }[bitLength];
+		if (!name) throw new Error(`Cannot tell the format of ${bitLength} bits. Use --exp and --mant, or --format.`);
+
+		return buildFormat({ ...options, format: name });
+	}
+
+	return new Float(options.exp ?? 4, options.mant ?? 3, options.floatOptions);
+}
+
+/**
+ * Describes a float field by field.
+ *
+ * @param {Float} f
+ * @param {string} bits
+ * @return {Breakdown}
+ */
+function breakdown(f, bits) {
+	const decoding = f.decode(bits);
+	const rawExp = parseInt(decoding.expBits || "0", 2);
+	const exponent = { bits: decoding.expBits, raw: rawExp, bias: f.bias, value: decoding.exponent ?? null };
+	const mantissa = { bits: decoding.mantBits, significand: decoding.significand ?? null };
+
+	const result = {
+		bits,
+		hex: f.toHex(bits),
+		kind: decoding.kind,
+		sign: { bit: decoding.signBit, negative: decoding.negative },
+		exponent,
+		mantissa,
+		value: String(f.toDecimal(bits, { exact: true }))
+	};
+
+	if (decoding.kind === "nan") result.nan = { signaling: decoding.signaling, payload: decoding.payload.toString() };
+
+	return result;
+}
+
+function describeFormat(f) {
+	return {
+		expBits: f.expBits,
+		mantBits: f.mantBits,
+		totalBits: f.totalBits,
+		...f.options
+	};
+}
+
+function encode(f, input, options) {
+	const traced = f.toBinary(input, options.round, { trace: options.trace });
+	const bits = options.trace ? traced.bits : traced;
+	const flags = Object.keys(f.lastFlags).filter(flag => f.lastFlags[flag]);
+
+	return {
+		input,
+		format: describeFormat(f),
+		rounding: options.round,
+		...breakdown(f, bits),
+		flags,
+		...(options.trace ? { steps: traced.steps } : {})
+	};
+}
+
+function decode(f, input, options) {
+	const bits = /^\s*0x/i.test(input) ? f.fromHex(input) : input.replace(/[\s_]/g, "");
+	const traced = options.trace ? f.toDecimal(bits, { trace: true }) : null;
+
+	return {
+		input,
+		format: describeFormat(f),
+		...breakdown(f, bits),
+		...(traced ? { steps: traced.steps } : {})
+	};
+}
+
+/**
+ * Renders a result as a table of fields.
+ *
+ * @param {Object} result The result of `encode` or `decode`.
+ * @return {string}
+ */
+function render(result) {
+	const { format, sign, exponent, mantissa } = result;
+	const row = (label, ...columns) => [label.padEnd(10), ...columns].join("").trimEnd();
+	const field = (bits) => (bits || "-").padEnd(Math.max(format.expBits, format.mantBits, 8) + 2);
+
+	let exp;
+	switch (result.kind) {
+		case "infinity":
+		case "nan": exp = "all 1: special value"; break;
+		case "zero": exp = "0"; break;
+		case "subnormal": exp = `0 -> 1 - ${exponent.bias} = ${exponent.value} (subnormal)`; break;
+		default: exp = `${exponent.raw} - ${exponent.bias} = ${exponent.value}`;
+	}
+
+	let mant = mantissa.significand !== null ? `significand ${mantissa.significand} (base 2)` : "";
+	if (result.kind === "nan") mant = `${result.nan.signaling ? "signaling" : "quiet"} NaN, payload ${result.nan.payload}`;
+
+	const lines = [
+		row("Input", result.input),
+		row("Format", `1-${format.expBits}-${format.mantBits} (sign-exponent-mantissa), ${format.totalBits} bits, bias ${format.bias}`),
+		...(result.rounding ? [row("Rounding", result.rounding)] : []),
+		row("Bits", `${sign.bit} ${exponent.bits} ${mantissa.bits} (${result.hex})`),
+		row("Sign", field(sign.bit), sign.negative ? "negative" : "positive"),
+		row("Exponent", field(exponent.bits), exp),
+		row("Mantissa", field(mantissa.bits), mant),
+		row("Class", result.kind),
+		row("Value", result.value)
+	];
+
+	if (result.flags) lines.push(row("Flags", result.flags.length > 0 ? result.flags.join(", ") : "none"));
+	if (result.steps) lines.push("", Float.renderTrace(result.steps));
+
+	return lines.join("\n");
+}
+
+function print(results, options) {
+	if (options.json) {
+		const json = results.length === 1 ? results[0] : results;
+		console.log(JSON.stringify(json, (key, value) => typeof value === "bigint" ? value.toString() : value, 2));
+	} else {
+		console.log(results.map(render).join("\n\n"));
+	}
+}
+
+/**
+ * Starts an interactive session, which keeps the format, rounding mode and output options between commands.
+ *
+ * @param {CliOptions} options
+ */
+function repl(options) {
+	const state = { ...options, floatOptions: { ...options.floatOptions } };
+	let f = buildFormat(state);
+
+	const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: "float> " });
+	const toggle = (value, current) => value === undefined ? !current : value === "on";
+	const formatName = () => `1-${f.expBits}-${f.mantBits}, rounding ${state.round}`;
+
+	console.log(`Format ${formatName()}. Type "help" for the commands.`);
+	rl.prompt();
+
+	rl.on("line", (line) => {
+		const [command, ...args] = line.trim().split(/\s+/);
+
+		try {
+			switch (command) {
+				case "": break;
+				case "help": console.log(REPL_HELP); break;
+				case "exit":
+				case "quit": rl.close(); return;
+				case "format": {
+					const next = { ...state };
+					if (args.length === 1) {
+						next.format = args[0];
+					} else if (args.length === 2) {
+						delete next.format;
+						next.exp = parseBits(args[0], "format");
+						next.mant = parseBits(args[1], "format");
+					} else if (args.length > 2) {
+						throw new Error("Usage: format <exp> <mant> | format <name>");
+					}
+
+					// Only keep the new format if it is valid
+					f = buildFormat(next);
+					Object.assign(state, next);
+					if (!next.format) delete state.format;
+
+					console.log(`Format ${formatName()}`);
+					break;
+				}
+				case "round": {
+					if (args[0]) {
+						if (!Object.values(Float.RoundingMode).includes(args[0])) throw new Error(`Unknown rounding mode: ${args[0]}`);
+						state.round = args[0];
+					}
+
+					console.log(`Rounding ${state.round}`);
+					break;
+				}
+				case "json": state.json = toggle(args[0], state.json); console.log(`JSON output ${state.json ? "on" : "off"}`); break;
+				case "trace": state.trace = toggle(args[0], state.trace); console.log(`Trace ${state.trace ? "on" : "off"}`); break;
+				case "decode": print(args.map(bits => decode(f, bits, state)), state); break;
+				case "encode": print(args.map(num => encode(f, num, state)), state); break;
+				default: print([command, ...args].map(num => encode(f, num, state)), state);
+			}
+		} catch (e) {
+			console.error(`Error: ${e.message}`);
+		}
+
+		rl.prompt();
+	});
+
+	rl.on("close", () => process.stdout.write("\n"));
+}
+
+function main(argv) {
+	const { command, args, options } = parseArgs(argv);
+
+	if (options.help) return console.log(USAGE);
+	if (command === "repl") return repl(options);
+	if (args.length === 0) throw new Error(`Nothing to ${command}.\n\n${USAGE}`);
+
+	if (command === "decode") {
+		print(args.map(input => {
+			const length = /^\s*0x/i.test(input) ? (input.trim().length - 2) * 4 : input.replace(/[\s_]/g, "").length;
+			return decode(buildFormat(options, length), input, options);
+		}), options);
+	} else {
+		const f = buildFormat(options);
+		print(args.map(input => encode(f, input, options)), options);
+	}
+}
+
+try {
+	main(process.argv.slice(2));
+} catch (e) {
+	console.error(`Error: ${e.message}`);
+	process.exitCode = 1;
+}
+
+/**
+ * @typedef {Object} CliOptions
+ * @property {number} [exp]
+ * @property {number} [mant]
+ * @property {string} [format] The name of one of `Float.Formats`.
+ * @property {string} round
+ * @property {boolean} json
+ * @property {boolean} trace
+ * @property {boolean} [help]
+ * @property {FloatOptions} floatOptions
+ */
+
+/**
+ * @typedef {Object} CliArguments
+ * @property {"encode"|"decode"|"repl"} command
+ * @property {string[]} args
+ * @property {CliOptions} options
+ */
+
+/**
+ * @typedef {Object} Breakdown
+ * @property {string} bits
+ * @property {string} hex
+ * @property {string} kind
+ * @property {{ bit: string, negative: boolean }} sign
+ * @property {{ bits: string, raw: number, bias: number, value: number|null }} exponent
+ * @property {{ bits: string, significand: string|null }} mantissa
+ * @property {string} value The exact decimal value.
+ * @property {{ signaling: boolean, payload: string }} [nan]
+ */
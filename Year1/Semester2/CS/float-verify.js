@@ -0,0 +1,530 @@
+#!/usr/bin/env node
+/**
+ * Differential verification of float.js against the native binary32 and binary64 conversions (`DataView.setFloat32/64`
+ * and `getFloat32/64`). Runs `new Float(8, 23)` and `new Float(11, 52)` over edge cases (zeros, subnormals, the normal and
+ * overflow boundaries), halfway cases (exactly between two floats, and just around it), random bit patterns (every
+ * magnitude, from subnormals to huge numbers) and random decimal strings, comparing the results bit for bit.
+ *
+ * Example of usage:
+ * ```
+ * node float-verify.js
+ * node float-verify.js --count 5000 --seed 42
+ * node float-verify.js --json > report.json
+ * ```
+ *
+ * Each mismatch is reported with a minimal reproducer: the shortest input that still fails, written as a line of code.
+ * The process exits with code 1 if any check fails. The native conversions only round to nearest, ties to even, so the
+ * other rounding modes, the formats that aren't IEEE-754 and the integers of integer.js are only verified by a few fixed
+ * cases. NaN bit patterns are not standardized, so only their NaN-ness is compared.
+ *
+ * @summary Differential verification of float.js against native floats.
+ */
+
+const Float = require("./float.js");
+const Integer = require("./integer.js");
+
+/**
+ * The native formats, with the `Float` under test and the matching `DataView` accessors.
+ */
+const FORMATS = [
+	{ name: "binary32", expBits: 8, mantBits: 23, set: "setFloat32", get: "getFloat32" },
+	{ name: "binary64", expBits: 11, mantBits: 52, set: "setFloat64", get: "getFloat64" }
+];
+
+/**
+ * The cases the native formats can't check (other rounding modes, formats that aren't IEEE-754 and the integers of
+ * integer.js), as a line of code run with `Float` and `Integer`, and the JSON of it's expected result.
+ */
+const FIXED_CASES = [
+	{
+		category: "integer",
+		code: `(() => { const i = new Integer(8, "twos-complement", { overflow: "wrap" }); i.encode(200); const before = JSON.stringify([i.flags, i.lastFlags]); i.fits(2.5); i.fits(1e9); return JSON.stringify([i.flags, i.lastFlags]) === before; })()`,
+		expected: true
+	},
+	{ category: "integer", code: `new Integer(8).encode(-5)`, expected: "11111011" },
+	{ category: "integer", code: `(() => { try { return new Integer(4, "excess-k", { bias: -1 }).bias; } catch { return "rejected"; } })()`, expected: "rejected" },
+	{ category: "integer", code: `(() => { try { return new Integer(4, "excess-k", { bias: 2.5 }).bias; } catch { return "rejected"; } })()`, expected: "rejected" },
+	{ category: "integer", code: `new Integer(4, "excess-k", { bias: 0 }).encode(15)`, expected: "1111" },
+	{
+		category: "specials",
+		code: `(() => { const f = new Float(4, 3, { specials: "none" }); const r = f.div("00000000", "00000000"); return [r.bits, r.flags.invalid]; })()`,
+		expected: ["00000000", true]
+	},
+	{
+		category: "specials",
+		code: `(() => { const f = new Float(4, 3, { specials: "none" }); const r = f.sqrt(f.toBinary(-1)); return [r.bits, r.flags.invalid]; })()`,
+		expected: ["00000000", true]
+	},
+	{
+		category: "specials",
+		code: `(() => { const r = Float.convert("0111111000000000", "half", new Float(4, 3, { specials: "none" })); return [r.bits, r.flags.invalid]; })()`,
+		expected: ["00000000", true]
+	},
+	{ category: "specials", code: `(() => { try { return new Float(3, 0).nan(); } catch { return "no NaN"; } })()`, expected: "no NaN" },
+	{ category: "specials", code: `new Float(3, 1).nan()`, expected: "01111" },
+	{
+		category: "specials",
+		code: `(() => { const r = Float.convert("1111110000000000", "half", new Float(4, 3, { specials: "none" })); return [r.bits, r.flags.overflow, r.flags.inexact]; })()`,
+		expected: ["11111111", true, true]
+	},
+	{ category: "subnormals", code: `new Float(3, 3, { subnormals: false }).toBinary(-0.2227, "nearest-even")`, expected: "1001000" },
+	{ category: "subnormals", code: `new Float(3, 3, { subnormals: false }).toBinary(0.125, "nearest-even")`, expected: "0000000" },
+	{ category: "subnormals", code: `new Float(3, 3, { subnormals: false }).toBinary(0.01, "toward-positive")`, expected: "0001000" },
+	{ category: "subnormals", code: `new Float(3, 3, { subnormals: false }).toBinary(0.2, "toward-zero")`, expected: "0000000" }
+];
+
+/**
+ * Runs the verification suite.
+ *
+ * @param {VerifyOptions} [options]
+ * @return {VerifyReport}
+ */
+function verifyFloat({ count = 1000, seed = 1, maxReports = 10 } = {}) {
+	const random = mulberry32(seed);
+	const formats = [...FORMATS.map(format => verifyFormat(format, random, count, maxReports)), verifyFixedCases(maxReports)];
+
+	return {
+		seed,
+		count,
+		passed: formats.every(f => f.mismatches === 0),
+		formats
+	};
+}
+
+function verifyFormat(format, random, count, maxReports) {
+	const f = new Float(format.expBits, format.mantBits);
+	const report = { name: format.name, checks: 0, mismatches: 0, categories: {}, failures: [] };
+	const native = nativeFormat(format);
+
+	const record = (category, check) => {
+		report.checks++;
+		report.categories[category] = report.categories[category] ?? { checks: 0, mismatches: 0 };
+		report.categories[category].checks++;
+
+		const failure = check();
+		if (!failure) return;
+
+		report.mismatches++;
+		report.categories[category].mismatches++;
+		if (report.failures.filter(r => r.category === category).length < maxReports) report.failures.push({ category, ...failure });
+	};
+
+	// Encoding a Number (binary32 rounds it, binary64 reads it as is) and decoding the native bits back
+	const checkNumber = (category, num) => {
+		record(category, () => compareEncoding(f, native, num, native.bits(num)));
+		record(category, () => compareDecoding(f, native, native.bits(num)));
+	};
+
+	for (const num of edgeCases(format)) checkNumber("edge", num);
+
+	for (let i = 0; i < count; i++) {
+		const { below, midpoint, above } = halfway(format, random);
+
+		if (format.name === "binary32") {
+			// The midpoints of binary32 and their neighbours are exact Numbers
+			for (const num of [midpoint.number, nextDouble(midpoint.number, -1), nextDouble(midpoint.number, 1)]) {
+				checkNumber("halfway", num);
+			}
+		} else {
+			// The midpoints of binary64 are not Numbers, so they are written as exact decimal strings, which Number() rounds correctly
+			for (const str of [midpoint.string, below, above]) record("halfway", () => compareEncoding(f, native, str, native.bits(Number(str))));
+		}
+	}
+
+	for (let i = 0; i < count; i++) {
+		// Random bit patterns of binary64 cover every magnitude, and binary32 rounds them
+		const num = native.value64(randomBits(64, random));
+		if (!isNaN(num)) checkNumber("random", num);
+
+		record("decode", () => compareDecoding(f, native, randomBits(format.expBits + format.mantBits + 1, random)));
+	}
+
+	if (format.name === "binary64") {
+		for (let i = 0; i < count; i++) {
+			const str = randomDecimal(random);
+			record("decimal", () => compareEncoding(f, native, str, native.bits(Number(str))));
+		}
+	}
+
+	return report;
+}
+
+/**
+ * Runs the {@link FIXED_CASES}, reported like a format.
+ *
+ * @param {number} maxReports
+ * @return {FormatReport}
+ */
+function verifyFixedCases(maxReports) {
+	const report = { name: "fixed cases", checks: 0, mismatches: 0, categories: {}, failures: [] };
+
+	for (const { category, code, expected } of FIXED_CASES) {
+		report.checks++;
+		report.categories[category] = report.categories[category] ?? { checks: 0, mismatches: 0 };
+		report.categories[category].checks++;
+
+		let actual;
+		try {
+			actual = JSON.stringify(new Function("Float", "Integer", `return ${code};`)(Float, Integer));
+		} catch (e) {
+			actual = `${e.name}: ${e.message}`;
+		}
+		if (actual === JSON.stringify(expected)) continue;
+
+		report.mismatches++;
+		report.categories[category].mismatches++;
+		if (report.failures.filter(r => r.category === category).length < maxReports) {
+			report.failures.push({ category, check: "code", input: "", expected: JSON.stringify(expected), actual, reproducer: code });
+		}
+	}
+
+	return report;
+}
+
+/* Checks */
+
+function compareEncoding(f, native, input, expected) {
+	const actual = f.toBinary(input, Float.RoundingMode.NEAREST_EVEN);
+	if (sameBits(native, actual, expected)) return null;
+
+	// Shrink the input while it still fails
+	const fails = (candidate) => !sameBits(native, f.toBinary(candidate, Float.RoundingMode.NEAREST_EVEN), expectedFor(native, candidate));
+	const minimal = shrink(input, fails);
+	const minimalExpected = expectedFor(native, minimal);
+
+	return {
+		check: "toBinary",
+		input: String(input),
+		expected,
+		actual,
+		reproducer: `new Float(${f.expBits}, ${f.mantBits}).toBinary(${literal(minimal)}, "nearest-even"); `
+			+ `// expected ${minimalExpected}, got ${f.toBinary(minimal, Float.RoundingMode.NEAREST_EVEN)}`
+	};
+}
+
+function compareDecoding(f, native, bits) {
+	const expected = native.value(bits);
+	const actual = f.toDecimal(bits);
+	if (Object.is(actual, expected) || (isNaN(actual) && isNaN(expected))) return null;
+
+	return {
+		check: "toDecimal",
+		input: bits,
+		expected: String(expected),
+		actual: String(actual),
+		reproducer: `new Float(${f.expBits}, ${f.mantBits}).toDecimal("${bits}"); // expected ${Object.is(expected, -0) ? "-0" : expected}, `
+			+ `got ${Object.is(actual, -0) ? "-0" : actual}`
+	};
+}
+
+function expectedFor(native, input) {
+	return native.bits(typeof input === "string" ? Number(input) : input);
+}
+
+function sameBits(native, actual, expected) {
+	if (actual === expected) return true;
+
+	// Any NaN matches any NaN
+	return isNaN(native.value(actual)) && isNaN(native.value(expected));
+}
+
+/**
+ * Finds a shorter input that still fails: the Number (or decimal string) with the fewest significant digits.
+ *
+ * @param {number|string} input
+ * @param {(candidate: number|string) => boolean} fails
+ * @return {number|string}
+ */
+function shrink(input, fails) {
+	if (typeof input === "number") {
+		for (let p = 1; p <= 17; p++) {
+			const candidate = Number(input.toPrecision(p));
+			if (fails(candidate)) return candidate;
+		}
+
+		return input;
+	}
+
+	const match = /^(-?)(\d+)e(-?\d+)$/.exec(toScientific(input));
+	if (!match) return input;
+
+	const [, sign, digits, exp] = match;
+	for (let n = 1; n < digits.length; n++) {
+		const candidate = `${sign}${digits.substring(0, n)}e${Number(exp) + digits.length - n}`;
+		if (fails(candidate)) return candidate;
+	}
+
+	return input;
+}
+
+function literal(input) {
+	if (typeof input === "string") {
+		// Exact decimal strings of tiny or huge numbers are shorter in scientific notation
+		const scientific = toScientific(input);
+		return JSON.stringify(scientific.length < input.length ? scientific : input);
+	}
+
+	return Object.is(input, -0) ? "-0" : String(input);
+}
+
+/* Inputs */
+
+function edgeCases(format) {
+	const native = nativeFormat(format);
+	const cases = [0, -0, 1, -1, 2, 0.5, 0.1, Infinity, -Infinity, Number.MIN_VALUE, -Number.MIN_VALUE, Number.MAX_VALUE, -Number.MAX_VALUE];
+
+	// The boundaries of the format, from it's own bits
+	const e = format.expBits, m = format.mantBits;
+	const patterns = [
+		"0".repeat(e + m - 1) + "1",                    // Smallest subnormal
+		"0".repeat(e) + "1".repeat(m),                  // Greatest subnormal
+		"0".repeat(e - 1) + "1" + "0".repeat(m),        // Smallest normal
+		"1".repeat(e - 1) + "0" + "1".repeat(m),        // Greatest finite
+		"0" + "1".repeat(e - 1) + "0".repeat(m)         // 1
+	];
+
+	for (const pattern of patterns) {
+		const num = native.value("0" + pattern);
+		cases.push(num, -num, nextDouble(num, 1), nextDouble(num, -1));
+	}
+
+	return cases;
+}
+
+/**
+ * Picks a random positive finite float and calculates the exact midpoint between it and the next float (above the greatest
+ * finite value, the "next float" is the power of 2 where the exponent would overflow).
+ *
+ * @return {{ midpoint: { number: number, string: string }, below: string, above: string }}
+ */
+function halfway(format, random) {
+	const e = format.expBits, m = format.mantBits;
+	const bias = Math.pow(2, e - 1) - 1;
+
+	let bits;
+	do {
+		bits = "0" + randomBits(e + m, random);
+	} while (!bits.substring(1, 1 + e).includes("0"));
+
+	const rawExp = parseInt(bits.substring(1, 1 + e), 2);
+	const mant = BigInt(`0b${bits.substring(1 + e)}`);
+	const sig = rawExp === 0 ? mant : mant | (1n << BigInt(m));
+	const exp = Math.max(rawExp, 1) - bias - m;
+
+	// (sig + 1/2) * 2^exp = (2 * sig + 1) * 2^(exp - 1)
+	const num = 2n * sig + 1n;
+	const k = 1 - exp;
+	const string = exactDecimal(num, k);
+
+	return {
+		midpoint: { number: Number(num) * Math.pow(2, exp - 1), string },
+		below: exactDecimal(num * 10n ** 20n - 1n, k, 20),
+		above: exactDecimal(num * 10n ** 20n + 1n, k, 20)
+	};
+}
+
+function randomDecimal(random) {
+	const digits = Array.from({ length: 1 + Math.floor(random() * 30) }, () => Math.floor(random() * 10)).join("");
+	const exp = Math.floor(random() * 660) - 345;
+
+	return `${random() < 0.5 ? "-" : ""}${digits}e${exp}`;
+}
+
+function randomBits(length, random) {
+	let bits = "";
+	while (bits.length < length) bits += Math.floor(random() * 0x10000).toString(2).padStart(16, "0");
+
+	return bits.substring(0, length);
+}
+
+/**
+ * A small seeded pseudo-random number generator, so that every run with the same seed checks the same values.
+ *
+ * @param {number} seed
+ * @return {() => number} A generator of numbers between 0 (inclusive) and 1 (exclusive).
+ */
+function mulberry32(seed) {
+	let a = seed >>> 0;
+
+	return () => {
+		a = (a + 0x6D2B79F5) >>> 0;
+		let t = a;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/* Native floats */
+
+function nativeFormat(format) {
+	const bytes = (1 + format.expBits + format.mantBits) / 8;
+
+	const toBits = (view) => Array.from(new Uint8Array(view.buffer), b => b.toString(2).padStart(8, "0")).join("");
+	const toView = (bits) => {
+		const view = new DataView(new ArrayBuffer(bits.length / 8));
+		for (let i = 0; i < bits.length / 8; i++) view.setUint8(i, parseInt(bits.substring(8 * i, 8 * i + 8), 2));
+
+		return view;
+	};
+
+	return {
+		bits: (num) => {
+			const view = new DataView(new ArrayBuffer(bytes));
+			view[format.set](0, num);
+
+			return toBits(view);
+		},
+		value: (bits) => toView(bits)[format.get](0),
+		value64: (bits) => toView(bits).getFloat64(0)
+	};
+}
+
+/**
+ * Gets the Number next to the given one, towards +infinity (direction 1) or -infinity (direction -1).
+ *
+ * @param {number} num
+ * @param {number} direction
+ * @return {number}
+ */
+function nextDouble(num, direction) {
+	if (isNaN(num) || num === direction * Infinity) return num;
+	if (num === 0) return direction * Number.MIN_VALUE;
+
+	const view = new DataView(new ArrayBuffer(8));
+	view.setFloat64(0, num);
+
+	const bits = view.getBigUint64(0);
+	view.setBigUint64(0, (num > 0) === (direction > 0) ? bits + 1n : bits - 1n);
+
+	return view.getFloat64(0);
+}
+
+/**
+ * Writes num / 10^digits * 2^-k (with k >= 0) as an exact decimal string, through num * 5^k / 10^(k + digits).
+ *
+ * @param {bigint} num
+ * @param {number} k
+ * @param {number} [digits=0]
+ * @return {string}
+ */
+function exactDecimal(num, k, digits = 0) {
+	const scaled = k >= 0 ? num * 5n ** BigInt(k) : num << BigInt(-k);
+	const places = Math.max(k, 0) + digits;
+	const str = scaled.toString().padStart(places + 1, "0");
+
+	const int = str.substring(0, str.length - places);
+	const dec = str.substring(str.length - places).replace(/0+$/, "");
+
+	return `${int}${dec.length > 0 ? `.${dec}` : ""}`;
+}
+
+function toScientific(str) {
+	const match = /^(-?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(str);
+	if (!match) return str;
+
+	const [, sign, int, dec = "", exp = "0"] = match;
+	const digits = (int + dec).replace(/^0+/, "");
+	if (digits === "") return `${sign}0e0`;
+
+	const trimmed = digits.replace(/0+$/, "");
+	const e = Number(exp) - dec.length + (digits.length - trimmed.length);
+
+	return `${sign}${trimmed}e${e}`;
+}
+
+/* Report */
+
+/**
+ * Renders a report as text.
+ *
+ * @param {VerifyReport} report
+ * @return {string}
+ */
+function renderReport(report) {
+	const lines = [`Float verification (seed ${report.seed}, ${report.count} random values per category)`, ""];
+
+	for (const format of report.formats) {
+		lines.push(`${format.name}: ${format.checks - format.mismatches}/${format.checks} checks passed`);
+
+		for (const [category, { checks, mismatches }] of Object.entries(format.categories)) {
+			lines.push(`  ${category.padEnd(10)} ${String(checks - mismatches).padStart(6)}/${checks}${mismatches > 0 ? `  (${mismatches} failed)` : ""}`);
+		}
+
+		for (const failure of format.failures) {
+			lines.push("", `  [${failure.category}] ${failure.check}(${failure.input})`, `    expected ${failure.expected}`,
+				`    actual   ${failure.actual}`, `    ${failure.reproducer}`);
+		}
+
+		lines.push("");
+	}
+
+	lines.push(report.passed ? "All checks passed." : "Some checks failed.");
+	return lines.join("\n");
+}
+
+function main(argv) {
+	const options = {};
+	let json = false;
+
+	for (let i = 0; i < argv.length; i++) {
+		switch (argv[i]) {
+			case "--count": options.count = Number(argv[++i]); break;
+			case "--seed": options.seed = Number(argv[++i]); break;
+			case "--max-reports": options.maxReports = Number(argv[++i]); break;
+			case "--json": json = true; break;
+			default: throw new Error(`Unknown option: ${argv[i]}`);
+		}
+	}
+
+	const report = verifyFloat(options);
+	console.log(json ? JSON.stringify(report, null, 2) : renderReport(report));
+
+	if (!report.passed) process.exitCode = 1;
+}
+
+if (require.main === module) {
+	try {
+		main(process.argv.slice(2));
+	} catch (e) {
+		console.error(`Error: ${e.message}`);
+		process.exitCode = 1;
+	}
+}
+
+module.exports = { verifyFloat, renderReport };
+
+/**
+ * @typedef {Object} VerifyOptions
+ * @property {number} [count=1000] The number of random values of each category.
+ * @property {number} [seed=1] The seed of the random values.
+ * @property {number} [maxReports=10] The number of failures reported per category (every failure is counted).
+ */
+
+/**
+ * @typedef {Object} VerifyReport
+ * @property {number} seed
+ * @property {number} count
+ * @property {boolean} passed
+ * @property {FormatReport[]} formats
+ */
+
+/**
+ * @typedef {Object} FormatReport
+ * @property {string} name
+ * @property {number} checks
+ * @property {number} mismatches
+ * @property {Object.<string, { checks: number, mismatches: number }>} categories
+ * @property {Failure[]} failures
+ */
+
+/**
+ * @typedef {Object} Failure
+ * @property {string} category
+ * @property {"toBinary"|"toDecimal"|"code"} check
+ * @property {string} input
+ * @property {string} expected
+ * @property {string} actual
+ * @property {string} reproducer A line of code that reproduces the failure, with the shortest failing input.
+ */
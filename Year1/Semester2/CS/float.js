@@ -10,7 +10,10 @@ MANUAL ALGORITHM
   Input: `num` - the base-10 representation of the float.
 
   1. Create a space for the binary representation, with (1 + exponent bit length + mantissa bit length) empty spaces.
-  2. If `num` is positive, set the first space to "0", else set it to "1".
+  2. If `num` is positive (including +0), set the first space to "0", else (including -0) set it to "1".
+    - 2.1 If `num` is infinity, set the exponent spaces to "1" and the mantissa spaces to "0". Stop.
+    - 2.2 If `num` is NaN, set the exponent spaces to "1" and the mantissa spaces to anything but all "0". The first mantissa space is "1" for a 
+quiet NaN and "0" for a signaling NaN, while the remaining spaces hold the payload. Stop.
   3. Split `num` by it's decimal dot.
   4. Convert the integer part to it's binary representation using integer division by 2.
   5. Convert the decimal part to it's decimal representation using multiplication by 2.
@@ -35,9 +38,15 @@ the number of bits of the float).
 it with "0" as needed.
     - 15.1 If the number is subnormal, read the mantissa from the first bit.
   16. If the normalized data length exceeds the mantissa bit length, skip to step 18.
-  17. If rounding is desired:
-    - 17.1 If bits were trimmed from the normalized data, add the first one to the read data.
-    - 17.2 Else, do nothing.
+  17. If rounding is desired, look at the trimmed bits of the normalized data: the first is the guard bit, the second is the round bit and the 
+sticky bit is set if any of the remaining ones is "1".
+    - 17.1 Round to nearest, ties to even: add 1 to the read data if the guard bit is set and either the round bit, the sticky bit or the last read 
+bit is set.
+    - 17.2 Round to nearest, ties away from zero: add 1 to the read data if the guard bit is set.
+    - 17.3 Round toward zero: do nothing.
+    - 17.4 Round toward +infinity (-infinity): add 1 to the read data if `num` is positive (negative) and any of the trimmed bits is set.
+    - 17.5 If the addition carries out of the hidden bit, add 1 to the exponent. If the exponent becomes all "1" digits, the number overflowed: go 
+back to step 14.
   18. Suffix the data with "0" digits if needed until the mantissa bit length is reached. If trim the number by it's tail if it's length exceeds the
 mantissa bit length.
   19. Add the mantissa bits to the representation.
@@ -63,7 +72,9 @@ is a special representation. Else skip to step 7.
  * floats of any size, not being restricted to the IEEE-754 sizes, however the algorithms used follow the IEEE-754 
  * specification.
  * 
- * Converting from decimal to binary can be done with or without rounding. Rounding is usually preferred.
+ * Converting from decimal to binary can be done with any of the IEEE-754 rounding modes (see {@link Float.RoundingMode}). 
+ * Rounding to nearest, ties to even, is usually preferred. For compatibility, `true` is an alias for "nearest-even" and 
+ * `false` (or no rounding mode) for "toward-zero".
  * 
  * Usage:
  * ```js
@@ -76,96 +87,1364 @@ is a special representation. Else skip to step 7.
  * const num = -2.25;
  * const binR = f.toBinary(num, true);
  * const binNR = f.toBinary(num, false)
+ * const binRU = f.toBinary(num, Float.RoundingMode.TOWARD_POSITIVE);
  * 
  * console.log(binR, f.toDecimal(binR));   // 11000001 -2.25
  * console.log(binNR, f.toDecimal(binNR)); // 11000001 -2.25
+ * console.log(binRU, f.toDecimal(binRU)); // 11000001 -2.25
  * 
+ * // The conversions use exact arithmetic, so formats wider than binary64 are supported as well.
+ * // Decimal strings are read exactly and the exact decimal expansion can be read as a string.
+ * const q = new Float(15, 112);
+ * const binQ = q.toBinary("0.1", Float.RoundingMode.NEAREST_EVEN);
+ * 
+ * console.log(q.toDecimal(binQ));                  // 0.1
+ * console.log(q.toDecimal(binQ, { exact: true })); // 0.1000000000000000000000000000000000048148248609680896326399448564623182963452541205384704880998469889163970947265625
+ * 
+ * // Both conversions can return the steps of the algorithm, which can be rendered as a worked solution.
+ * const { bits, steps } = f.toBinary(num, true, { trace: true });
+ * console.log(Float.renderTrace(steps, "markdown"));
+ * 
+ * // Arithmetic is calculated exactly and rounded once, like IEEE-754 requires.
+ * console.log(f.add(binR, f.toBinary(0.375, true))); // { bits: '10111111', value: -1.875, flags: { ... } }
+ * 
+ * // Every conversion and operation raises the IEEE-754 exception flags.
+ * f.toBinary(0.1, true);
+ * console.log(f.lastFlags); // { invalid: false, divisionByZero: false, overflow: false, underflow: false, inexact: true }
+ * 
+ * // Signed zeros, infinities and NaNs (quiet or signaling, with payloads) are supported.
+ * console.log(f.toBinary(-0), f.toBinary(-Infinity), f.toBinary(NaN)); // 10000000 11111000 01111100
+ * console.log(f.decode(f.nan({ signaling: true, payload: 2 })));         // { kind: 'nan', ..., signaling: true, payload: 2n, value: NaN }
+ * 
+ * // The properties of the format and the table of every float can be calculated as well.
+ * console.log(f.properties().maxNormal.value, f.nextUp(binR)); // 240 11000000
+ * console.log(f.exportTable("csv"));
+ * 
+ * // Floats can also be written in hexadecimal, as C99 hexadecimal floating-point literals or as bytes.
+ * const single = new Float(8, 23);
+ * const pi = single.toBinary(Math.PI, true);
+ * console.log(single.toHex(pi), single.toHexFloat(pi));            // 0x40490FDB 0x1.921fb6p+1
+ * console.log(new DataView(single.toBytes(pi).buffer).getFloat32(0)); // 3.1415927410125732
+ * console.log(single.toDecimal("0x40490FDB"), single.toDecimal([0xDB, 0x0F, 0x49, 0x40], { littleEndian: true }));
+ * 
+ * // Formats that do not follow IEEE-754 can be described with options: a custom bias, no infinities (or no special values
+ * // at all), no subnormals (flushed to zero) or no hidden bit.
+ * const e4m3 = new Float(4, 3, { specials: "nan" });
+ * console.log(e4m3.properties().maxNormal.value, e4m3.toBinary(1000, true)); // 448 01111111 (NaN)
+ * 
+ * // Floats can be converted exactly between formats, including the common named ones.
+ * console.log(Float.convert(pi, single, "bfloat16")); // { bits: '0100000001001001', value: 3.140625, flags: { ... } }
  * ```
  *
  * @class Float
  */
 class Float {
-	constructor(exponent, mantissa) {
+	/**
+	 * The rounding modes defined by IEEE-754 for binary floating-point numbers.
+	 *
+	 * @static
+	 * @memberof Float
+	 */
+	static RoundingMode = Object.freeze({
+		NEAREST_EVEN: "nearest-even",
+		NEAREST_AWAY: "nearest-away",
+		TOWARD_ZERO: "toward-zero",
+		TOWARD_POSITIVE: "toward-positive",
+		TOWARD_NEGATIVE: "toward-negative"
+	});
+
+	/**
+	 * The exception flags defined by IEEE-754, as named on {@link Float#flags} and {@link Float#lastFlags}.
+	 *
+	 * @static
+	 * @memberof Float
+	 */
+	static Flag = Object.freeze({
+		INVALID: "invalid",
+		DIVISION_BY_ZERO: "divisionByZero",
+		OVERFLOW: "overflow",
+		UNDERFLOW: "underflow",
+		INEXACT: "inexact"
+	});
+
+	/**
+	 * The common named formats, which can be built with {@link Float.preset}. The FP8 formats are the ones of the OCP 8-bit 
+	 * floating point specification: E5M2 follows the IEEE-754 layout, while E4M3 has no infinities and a single NaN (per sign), 
+	 * with all the exponent and mantissa bits set.
+	 *
+	 * @static
+	 * @memberof Float
+	 */
+	static Formats = Object.freeze({
+		half: Object.freeze({ expBits: 5, mantBits: 10 }),
+		single: Object.freeze({ expBits: 8, mantBits: 23 }),
+		double: Object.freeze({ expBits: 11, mantBits: 52 }),
+		bfloat16: Object.freeze({ expBits: 8, mantBits: 7 }),
+		e4m3: Object.freeze({ expBits: 4, mantBits: 3, options: Object.freeze({ specials: "nan" }) }),
+		e5m2: Object.freeze({ expBits: 5, mantBits: 2 })
+	});
+
+	/**
+	 * @param {number} exponent The number of exponent bits.
+	 * @param {number} mantissa The number of mantissa bits.
+	 * @param {FloatOptions} [options] Options for formats that do not follow IEEE-754.
+	 * @memberof Float
+	 */
+	constructor(exponent, mantissa, options = {}) {
+		const { bias = Math.pow(2, exponent - 1) - 1, specials = "ieee", subnormals = true, hiddenBit = true } = options;
+
+		if (!Number.isInteger(bias)) throw new Error(`Not a valid bias: ${bias}`);
+		if (!["ieee", "nan", "none"].includes(specials)) throw new Error(`Unknown special values encoding: ${specials}`);
+		if (!hiddenBit && mantissa < 1) throw new Error("A float without the hidden bit needs at least 1 mantissa bit.");
+
 		this.expBits = exponent;
 		this.mantBits = mantissa;
 		this.totalBits = 1 + exponent + mantissa;
-		this.bias = Math.pow(2, exponent - 1) - 1;
+		this.bias = bias;
 		this.maxAbs = Math.pow(2, this.totalBits - 1) - 1;
+
+		this.options = { bias, specials, subnormals, hiddenBit };
+		this.specials = specials;
+		this.subnormals = subnormals;
+		this.hiddenBit = hiddenBit;
+
+		// Significand bits, including the hidden bit, and the unbiased exponents of the smallest and greatest normal values
+		this.precision = mantissa + (hiddenBit ? 1 : 0);
+		this.emin = 1 - bias;
+		this.emax = Math.pow(2, exponent) - (specials === "ieee" ? 2 : 1) - bias;
+
+		/**
+		 * The exception flags raised since the instance was created, or since the last call to {@link Float#clearFlags}.
+		 * @type {Flags}
+		 */
+		this.flags = this._noFlags();
+
+		/**
+		 * The exception flags raised by the last conversion or operation.
+		 * @type {Flags}
+		 */
+		this.lastFlags = this._noFlags();
+	}
+
+	/**
+	 * Lowers every exception flag collected on {@link Float#flags}.
+	 *
+	 * @memberof Float
+	 */
+	clearFlags() {
+		this.flags = this._noFlags();
 	}
 
 	/*
 		## Decimal to Binary (toBinary)
 
 		  Preliminar input: Exponent bits and mantissa bits.
-		  Input: `num` - the base-10 representation of the float.
+		  Input: `num` - the base-10 representation of the float. Either a Number, a BigInt or a decimal string (e.g. "-2.25", "1e-40", "-0", 
+    "-Infinity", "NaN"). C99 hexadecimal floating-point literals (e.g. "-0x1.92p+1") are accepted as well.
+		         `rounding` - the rounding mode (see `Float.RoundingMode`). `true` is an alias for "nearest-even" and `false` for "toward-zero".
+		         `options.trace` - if set, return the steps below (see `Float.renderTrace`) along with the bits, as `{ bits, steps }`.
+		         `options.encoding` - "binary" (default), "hex" (e.g. "0xC0490FDB"), "hexfloat" (e.g. "0x1.921fb6p+1") or "bytes" (an Uint8Array, 
+    big-endian unless `options.littleEndian` is set).
 
-		  1. Determine the sign of `num` and store it in `signBit`. If posivite, store "0", else store "1".
-		  2. If the number is in the exponential form (the digit "e" is present on the visual representation of the number), unexponentiate it.
-		  3. Split `num` into it's integer and decimal parts, dropping the dot.
+		  1. Determine the sign of `num` and store it in `signBit`. If posivite (or +0), store "0", else (or -0) store "1".
+			  - 1.1 If `num` is infinity, the exponent bits are all "1" and the mantissa bits are all "0". Skip to step 15. Formats without 
+    infinities use their NaN instead (exponent and mantissa bits all "1") or, without any special value, the greatest finite value.
+			  - 1.2 If `num` is NaN, the exponent bits are all "1" and the mantissa bits are the ones of the quiet NaN: "1" followed by "0". Skip to 
+    step 15. Other NaNs can be built with `nan`. Formats with a single NaN have the exponent and mantissa bits all "1", while the formats 
+    without NaN (the ones without special values, or IEEE-754 formats without mantissa bits) store +0 instead and raise the invalid flag.
+		  2. Convert `num` into an exact fraction of two integers. A Number is read from it's own binary64 bits, a decimal string is read digit by digit
+    (e.g. "-2.25e3" is -225 / 10^-1).
+		  3. Split the fraction into it's integer and decimal parts through integer division.
 		  4. Convert the integer part into binary through integer division by 2.
-		  5. Convert the decimal part into binary through multiplication by 2.
+		  5. Convert the decimal part into binary through multiplication by 2. Stop once the guard and round positions of the mantissa are known: either 
+    2 bits after the mantissa bits that follow the first high bit, or the 2 bits after the smallest subnormal bit, whichever comes first. If the decimal 
+    part is still not 0, mark the number as having a sticky bit.
 		  6. Normalize the binary representation of integer part (intBin).
 		  7. Determine the offset exponent.
 			  - 7.1 If the intBin has a high bit, the offset exponent is the length of the integer part - 1. 
 			  - 7.2 Else, if the decPart has a high bit, the offset exponent is the 1-based index of the first occurance of an high bit.
 			  - 7.3 If none of the above apply, the offset exponent is 0.
-		  8. Calculate the exponent. The exponent is given by subtracting the bias of the float (2^(k-1) - 1, where k is the number of bits of the 
-    exponent of the float spec) from the offset exponent.
-		  9. Add the the binary representation of the decimal part (decBin) to the tail of the intDec to get the normalized data (normData).
-		  10. If the exponent is negative, follow the rest of this step. Else skip to step 16. 
-			  - 10.1 Set the exponent bits to all zeros.
-			  - 10.2 Calculate the subnormal exponent by subtracting the bias from 1.
-			  - 10.3 Denormalize the data by prefixing the data with N "0", where N is given by subtracting the subnormal exponent from the offset exponent. 
-    If N is negative, do not prefix the data at all.
-			  - 10.4 Determine the mantissa bits by getting all bytes from the denormalized data until it's end or it reaches the maximum bit length for the 
-    mantissa. If the former occurs, append "0" until the it's length equals the maximum mantissa bits.
-		  11. Convert the exponent into it's binary representation (expBits).
-		  12. Prefix it with "0" until it's length equals the maximum bit length for the exponent. If the expBits exceed the maximum bit length, do not 
-    prefix it at all.
-		  13. If it's length exceed the maximum bit length, replace it with exclusively "1" for the entirety of the bit length of the exponent. Mark the 
-    number as infinity.
-		  14. Calculate the mantissa.
-			  - 14.1 If the number is infinity or it's absolute value is greater than the maximum value of the float representation, fill the mantissa with 
-    "0". Skip to step 16.
-			  - 14.2 If the bit length of the normalizedData receeds or equals the maximum bit length for the mantissa, suffix it with "0" until the maximum 
-    bit length for the mantissa is reached. Skip to step 16.
-			  - 14.3 If the exponent is positive, drop the first digit of the normalized data and read all bits until it's end or the maximum bit length for 
-    the mantissa.
-			  - 14.4 If rounding is desired and the length of the normalized data exceeds the length of the maximum bit length of the mantissa, add the first 
-    trimmed bit of the tail of the normalized data to the normalized data using binary addition.
-			  - 14.5 If the length of the normalized data length exceeds the length of the maximum bit length of the mantissa, suffix the normalized data 
-    with "0" until that length is reached. The value of the mantissa is the normalized data.
-		  16. Join, sequentially, the sign bit, the exponent bits and the mantissa bits to get the binary representation of the floating point number.
+		  8. Add the the binary representation of the decimal part (decBin) to the tail of the intDec and trim the leading "0" to get the normalized 
+    data (normData). If it has no high bit and no sticky bit, the number is 0: the exponent and mantissa bits are all "0". Skip to step 15. If only the 
+    sticky bit is set, the offset exponent is the position after the last bit read.
+		  9. If the offset exponent is lower than the subnormal exponent (1 - bias), the number is subnormal. Denormalize the data by prefixing it with 
+    N "0", where N is given by subtracting the offset exponent from the subnormal exponent, and set the offset exponent to the subnormal exponent.
+		  10. Round the significand (the hidden bit followed by the mantissa, 1 + mantissa bit length bits, or just the mantissa in formats without
+    the hidden bit) of the normalized data.
+			  - 10.1 The guard bit is the first bit after the significand, the round bit is the one after it and the sticky bit is the logical OR of every 
+    remaining bit (and the sticky mark of step 5).
+			  - 10.2 Decide whether to add 1 to the significand, according to the rounding mode:
+				  - nearest-even: if the guard bit is set and either the round bit, the sticky bit or the last bit of the significand is set.
+				  - nearest-away: if the guard bit is set.
+				  - toward-zero: never.
+				  - toward-positive: if the number is positive and any of the guard, round or sticky bits is set.
+				  - toward-negative: if the number is negative and any of the guard, round or sticky bits is set.
+			  - 10.3 If the addition overflows the significand (e.g. 1.111 + 0.001 = 10.000), drop the last bit and add 1 to the offset exponent.
+			  - 10.4 If any of the guard, round or sticky bits is set, the result is inexact (raise the inexact flag). If it is also subnormal (step 9), 
+    the result underflowed (raise the underflow flag).
+			  - 10.5 If the number is subnormal and the format has no subnormals, the only values it can round to are 0 and the smallest normal number, 
+    so round the significand to it's first bit (the guard bit is the second one) and pad it with "0".
+		  11. If the offset exponent is greater than the greatest exponent (the bias, in IEEE-754 formats), the number overflows (raise the overflow 
+    and inexact flags). If the rounding mode rounds it away from 0 (nearest-even, nearest-away and the directed mode towards the sign of the number), 
+    the exponent bits are all "1" and the mantissa bits are all "0" (infinity). Else, the number is the greatest finite value: the exponent bits 
+    are all "1" but the last and the mantissa bits are all "1". Skip to step 15. 
+			  - 11.1 Formats with a single NaN have the greatest exponent bits all "1", so the number also overflows if it rounds into the NaN bits.
+    Instead of infinity, it becomes NaN, and the greatest finite value has every bit set but the last mantissa bit.
+			  - 11.2 Formats without special values saturate: the number becomes the greatest finite value (every bit set) in any rounding mode.
+			  - 11.3 If the hidden bit of the rounded significand is "0" and the format has no subnormals, flush the number to 0 (the flags were 
+    raised in step 10.4). Skip to step 15.
+		  12. If the hidden bit of the rounded significand is "0", the number is subnormal and the exponent is 0. Else, calculate the exponent by adding 
+    the bias of the float (2^(k-1) - 1, where k is the number of bits of the exponent of the float spec) to the offset exponent.
+		  13. Convert the exponent into it's binary representation (expBits) and prefix it with "0" until it's length equals the maximum bit length for 
+    the exponent.
+		  14. The mantissa bits are the rounded significand without the hidden bit (or the whole significand, in formats without it).
+		  15. Join, sequentially, the sign bit, the exponent bits and the mantissa bits to get the binary representation of the floating point number.
+		  16. Encode the bits as requested (see `toHex`, `toHexFloat` and `toBytes`).
 	*/
-	toBinary(num, rounding) {
+	toBinary(num, rounding, options = {}) {
+		this._resetFlags();
+
+		const mode = this._roundingMode(rounding);
+		const value = this._toValue(num);
+		const trace = options.trace ? [] : null;
+
 		// Sign bit
-		const signBit = num > 0 ? "0" : "1"
+		const signBit = value.negative ? "1" : "0";
+		this._trace(trace, "sign", "Sign", `The number is ${value.negative ? "negative" : "positive"}, so the sign bit is ${signBit}.`, { signBit }, 
+			`s = ${signBit}`);
+
+		if (value.kind === "nan" && !this._hasNaN()) {
+			this._trace(trace, "special", "Special value", "The number is NaN, which the format does not have, so it becomes +0 (an invalid operation).");
+		} else if (value.kind !== "finite") {
+			const special = {
+				ieee: value.kind === "inf"
+					? "The number is infinity, so the exponent bits are all 1 and the mantissa bits are all 0."
+					: "The number is NaN, so the exponent bits are all 1 and the mantissa bits are the ones of the quiet NaN.",
+				nan: `The number is ${value.kind === "inf" ? "infinity, which the format does not have, so it becomes NaN" : "NaN"}: `
+					+ "the exponent and mantissa bits are all 1.",
+				none: "The number is infinity, which the format does not have, so it becomes the greatest finite value."
+			};
+
+			this._trace(trace, "special", "Special value", special[this.specials]);
+		}
+
+		const bits = value.kind === "finite" 
+			? signBit + this._encodeRational(value.negative, value.num, value.den, mode, trace)
+			: this._pack(value, mode);
+		const expBits = bits.substring(1, 1 + this.expBits);
+		const mantBits = bits.substring(1 + this.expBits);
+		this._trace(trace, "result", "Result", `Join the sign bit, the exponent bits and the mantissa bits: ${signBit} ${expBits} ${mantBits}.`, 
+			{ bits, signBit, expBits, mantBits }, `${signBit}\\,${expBits}\\,${mantBits}`);
+
+		const encoded = this._encodeAs(bits, options);
+
+		return trace ? { bits: encoded, steps: trace } : encoded;
+	}
+
+	/*
+		## Binary to Decimal (toDecimal)
+
+		Preliminar input: Exponent bits and mantissa bits.
+		Input: `bits` - the base-2 representation of the float. Hexadecimal representations (e.g. "0xC0490FDB"), C99 hexadecimal floating-point 
+    literals (e.g. "-0x1.92p+1", rounded to nearest, ties to even) and bytes (an ArrayBuffer, a typed array, a DataView or an Array of bytes, 
+    big-endian unless `options.littleEndian` is set) are converted into bits first.
+		       `options.exact` - if set, return the exact decimal expansion of the value as a string, instead of a Number.
+		       `options.trace` - if set, return the steps below (see `Float.renderTrace`) along with the value, as `{ value, steps }`.
+
+		  1. If the length of the bits is different that the total bit length of the float (1 + exponent bit length + mantissa bit length), do not calculate.
+		  2. If the bits include anithing else than the digits "0" and "1", do not calculate.
+		  3. Determine the sign: If the first bit is "0", the sign is 1, else the sign is -1.
+		  4. Get the exponent: read the bits from 1 through (1 + exponent bit length). Convert it to decimal.
+		  5. Get the mantissa bits: read the bits from (1 + exponent bit length) through (1 + exponent bit length) through (1 + exponent bit length + 
+    mantissa bit length).
+		  6. If the exponent is greater than the double of the bias (2^(k-1) - 1, where k is the number of bits of the exponent of the float spec), the 
+    number is a special representation. Else skip to step 7.
+			  - 6.1 If the exponent is equal to the double of the bias + 1, the value is infinity. Return sign * the symbol for infinity.
+			  - 6.2 Else, return the symbol for the NaN.
+			  - 6.3 Formats with a single NaN only reserve the bits with the exponent and mantissa all "1" (NaN), and formats without special
+    values reserve none. With a custom bias, compare the exponent with its greatest value (2^k - 1) instead.
+			  - 6.4 If the exponent is 0 and the format has no subnormals, return sign * 0.
+		  7. Calculate the value of the mantissa bits as an integer (M).
+		  8. Else, if the exponent is 0, the value is (sign * M * 2^(1 - bias - mantissa bit length))
+		  9. Else, the value is (sign * (2^(mantissa bit length) + M) * 2^(exponent - bias - mantissa bit length)). In formats without the hidden 
+    bit, the first mantissa bit is the integer part of the significand, so the value is (sign * M * 2^(max(exponent, 1) - bias - mantissa bit length + 1)).
+		  10. If the exact value is desired, write the value as (sign * N / 2^k) and multiply both terms by 5^k: the decimal expansion is given by the 
+    digits of (N * 5^k), with a decimal point k digits from the right. Else, round it to the closest Number, raising the flags of that rounding.
+	*/
+	toDecimal(bits, options = {}) {
+		this._resetFlags();
+		bits = this._toBits(bits, options);
+
+		const trace = options.trace ? [] : null;
+		const result = (value, exact) => {
+			const _value = options.exact ? exact : value;
+			this._trace(trace, "result", "Result", `The value of the float is ${exact}.`, { value: _value });
+
+			return trace ? { value: _value, steps: trace } : _value;
+		}
+
+		if (bits.length !== this.totalBits) {
+			this._trace(trace, "validate", "Validation", `The float has ${this.totalBits} bits, but ${bits.length} were given.`);
+			return result(NaN, "NaN");
+			//throw new Error(`Not a valid minifloat for the S-E-M configuration ${this.expBits}-${this.mantBits}`);
+		}
+		
+		if (bits.split("").some(c => !["0", "1"].includes(c))) {
+			this._trace(trace, "validate", "Validation", "The bits include digits other than 0 and 1.");
+			return result(NaN, "NaN");
+			//throw new Error("Not a binary string.");
+		}
+
+		const sign = parseInt(bits[0], 2) == 0 ? 1 : -1;
+		const expBits = bits.substring(1, 1 + this.expBits);
+		const rawExp = parseInt(expBits, 2);
+		const mant = bits.substring(1 + this.expBits, 1 + this.expBits + this.mantBits);
+		const kind = this._kind(bits);
+
+		this._trace(trace, "fields", "Fields", `Split the bits into the sign bit (${bits[0]}), the exponent bits (${expBits}) and the mantissa bits (${mant}).`,
+			{ signBit: bits[0], expBits, mantBits: mant });
+		this._trace(trace, "sign", "Sign", `The sign bit is ${bits[0]}, so the sign is ${sign}.`, { sign }, `s = ${bits[0]}`);
+
+		if (kind === "infinity") {
+			this._trace(trace, "special", "Special value", `The exponent bits are all 1 and the mantissa bits are all 0, so the value is infinity.`);
+			return result(sign * Infinity, `${sign < 0 ? "-" : ""}Infinity`);
+		}
+
+		if (kind === "nan") {
+			if (this.specials === "nan") {
+				this._trace(trace, "special", "Special value", `The exponent and mantissa bits are all 1, so the value is NaN.`);
+			} else {
+				const quiet = mant[0] === "1";
+				this._trace(trace, "special", "Special value", `The exponent bits are all 1 and the mantissa bits are not all 0, so the value is NaN. `
+					+ `The first mantissa bit is ${mant[0]}, so it is a ${quiet ? "quiet" : "signaling"} NaN, with the payload ${mant.substring(1)}.`,
+					{ signaling: !quiet, payload: mant.substring(1) });
+			}
+
+			return result(NaN, "NaN");
+		}
+
+		if (rawExp === 0 && !this.subnormals) {
+			this._trace(trace, "special", "Special value", "The exponent bits are all 0 and the format has no subnormal numbers, so the value is 0.");
+			return result(sign < 0 ? -0 : 0, sign < 0 ? "-0" : "0");
+		}
+
+		const { lead, fraction, exp } = this._significand(bits);
+		if (rawExp === 0) {
+			this._trace(trace, "exponent", "Exponent", `The exponent bits are all 0, so the number is subnormal and the exponent is 1 - ${this.bias} = ${exp}.`,
+				{ rawExp, exp, subnormal: true }, `E = 1 - ${this.bias} = ${exp}`);
+		} else {
+			this._trace(trace, "exponent", "Exponent", `The exponent bits are ${expBits} = ${rawExp}. Subtract the bias: ${rawExp} - ${this.bias} = ${exp}.`,
+				{ rawExp, exp, subnormal: false }, `E = ${expBits}_{2} - ${this.bias} = ${rawExp} - ${this.bias} = ${exp}`);
+		}
+
+		const significand = `${lead}.${fraction}`;
+		if (this.hiddenBit) {
+			this._trace(trace, "mantissa", "Mantissa", `The mantissa bits are ${mant}. With the hidden bit (${lead}), the significand is ${significand} (base 2).`,
+				{ mantBits: mant, hidden: lead, significand }, `m = ${significand}_{2}`);
+		} else {
+			this._trace(trace, "mantissa", "Mantissa", `The mantissa bits are ${mant}. The format has no hidden bit, so the first mantissa bit is the `
+				+ `integer part of the significand: ${significand} (base 2).`, { mantBits: mant, hidden: null, significand }, `m = ${significand}_{2}`);
+		}
+
+		const { negative, num, den } = this._decodeRational(bits);
+		const exact = this._toDecimalString(negative, num, den);
+
+		this._trace(trace, "value", "Value", `Multiply the sign, the significand and 2 to the power of the exponent: ${sign} × ${significand} (base 2) × 2^${exp}` 
+			+ ` = ${exact}.`, { exact }, `(-1)^{${bits[0]}} \\times ${significand}_{2} \\times 2^{${exp}} = ${exact}`);
+
+		return result(options.exact ? exact : this._toNumber(negative, num, den, true), exact);
+	}
+
+	/**
+	 * Describes the value represented by a float: it's class, sign, fields and value. Unlike {@link Float#toDecimal}, NaNs keep their
+	 * kind (quiet or signaling) and payload and zeros keep their sign.
+	 *
+	 * @param {string} bits
+	 * @return {FloatDecoding} 
+	 * @memberof Float
+	 */
+	decode(bits) {
+		this._validate(bits);
+		this._resetFlags();
+
+		const kind = this.classify(bits);
+		const value = this._unpack(bits);
+		const decoding = {
+			kind,
+			negative: value.negative,
+			signBit: bits[0],
+			expBits: bits.substring(1, 1 + this.expBits),
+			mantBits: bits.substring(1 + this.expBits)
+		};
+
+		switch (kind) {
+			case "nan": return { ...decoding, signaling: value.signaling, payload: value.payload, value: NaN };
+			case "infinity": return { ...decoding, value: value.negative ? -Infinity : Infinity };
+			case "zero": return { ...decoding, exponent: this._significand(bits).exp, value: value.negative ? -0 : 0 };
+			default: {
+				const { lead, fraction, exp } = this._significand(bits);
+
+				return { 
+					...decoding, 
+					exponent: exp, 
+					significand: `${lead}.${fraction}`, 
+					value: this._toNumber(value.negative, value.num, value.den, true) 
+				};
+			}
+		}
+	}
+
+	/**
+	 * Classifies a float as "zero", "subnormal", "normal", "infinity" or "nan". In formats without subnormal numbers, the bits
+	 * that would be subnormal are zeros, and in formats without the hidden bit, every float with the mantissa bits all "0" is zero.
+	 *
+	 * @param {string} bits
+	 * @return {"zero"|"subnormal"|"normal"|"infinity"|"nan"} 
+	 * @memberof Float
+	 */
+	classify(bits) {
+		this._validate(bits);
+
+		return this._kind(bits);
+	}
+
+	isZero(bits) {
+		return this.classify(bits) === "zero";
+	}
+
+	isSubnormal(bits) {
+		return this.classify(bits) === "subnormal";
+	}
+
+	isNormal(bits) {
+		return this.classify(bits) === "normal";
+	}
+
+	isInfinite(bits) {
+		return this.classify(bits) === "infinity";
+	}
+
+	isNaN(bits) {
+		return this.classify(bits) === "nan";
+	}
+
+	isSignaling(bits) {
+		return this.specials === "ieee" && this.isNaN(bits) && bits[1 + this.expBits] === "0";
+	}
+
+	/**
+	 * Builds the bits of a NaN. A quiet NaN has the first mantissa bit set, while a signaling NaN has it unset and must have a
+	 * payload other than 0 (else, it would be infinity). Formats without infinities have a single quiet NaN, with all the exponent and
+	 * mantissa bits set, and formats without special values (or IEEE-754 formats without mantissa bits) have no NaN, so it throws an error.
+	 *
+	 * @param {Object} [options]
+	 * @param {boolean} [options.negative=false]
+	 * @param {boolean} [options.signaling=false]
+	 * @param {bigint|number} [options.payload=0] The value of the remaining mantissa bits.
+	 * @return {string} 
+	 * @memberof Float
+	 */
+	nan({ negative = false, signaling = false, payload = 0n } = {}) {
+		const _payload = BigInt(payload);
+
+		if (!this._hasNaN()) throw new Error(`The S-E-M configuration ${this.expBits}-${this.mantBits} has no NaN.`);
+		if (this.specials === "nan" && (signaling || _payload !== 0n)) {
+			throw new Error("The format has a single NaN, which is quiet and has no payload.");
+		}
+
+		if (_payload < 0n || this._bitLength(_payload) > this.mantBits - 1) {
+			throw new Error(`The payload does not fit in ${this.mantBits - 1} bits.`);
+		}
+
+		if (signaling && _payload === 0n) throw new Error("A signaling NaN must have a payload other than 0.");
+
+		return this._pack({ kind: "nan", negative, signaling, payload: _payload });
+	}
+
+	/**
+	 * Calculates the properties of the format: it's limits, machine epsilon and how many floats of each class it has.
+	 *
+	 * @return {FormatProperties} 
+	 * @memberof Float
+	 */
+	properties() {
+		const m = BigInt(this.mantBits);
+		const mantissas = 1n << m;
+		const fields = 1n << BigInt(this.expBits);
+
+		// Count the floats of each class for one sign, field by field
+		const count = { normal: 0n, subnormal: 0n, zero: 0n, infinity: 0n, nan: 0n };
+		const numericFields = fields - (this.specials === "ieee" ? 1n : 0n);
+
+		if (this.hiddenBit) {
+			count.zero += 1n;
+			count.subnormal += mantissas - 1n;
+			count.normal += (numericFields - 1n) * mantissas;
+		} else {
+			// The mantissas of a field with k leading zeros and an exponent below k + 1 are subnormal
+			const last = numericFields - 1n < m ? numericFields - 1n : m;
+			for (let r = 0n; r <= last; r++) {
+				const tiny = 1n << (m - (r < 1n ? 1n : r));
 
-		// Initialization
-		const _num = this._unexponentiate(num);
-		const [int, dec] = _num.split(".");
+				count.zero += 1n;
+				count.subnormal += tiny - 1n;
+				count.normal += mantissas - tiny;
+			}
+
+			count.zero += numericFields - 1n - last;
+			count.normal += (numericFields - 1n - last) * (mantissas - 1n);
+		}
+
+		if (this.specials === "ieee") {
+			count.infinity += 1n;
+			count.nan += mantissas - 1n;
+		} else if (this.specials === "nan") {
+			count.normal -= 1n;
+			count.nan += 1n;
+		}
+
+		if (!this.subnormals) {
+			count.zero += count.subnormal;
+			count.subnormal = 0n;
+		}
+
+		for (const kind in count) count[kind] *= 2n;
+
+		const finite = count.normal + count.subnormal + count.zero;
+
+		// +0 and -0 are the same value. Without the hidden bit, the first two fields have the same exponent and, above them, only the
+		// floats whose first mantissa bit is set are distinct, as the others are equal to a float with a smaller exponent.
+		const upperFields = numericFields > 2n ? numericFields - 2n : 0n;
+		const distinct = this.hiddenBit 
+			? count.normal + count.subnormal + 1n
+			: 2n * ((this.subnormals ? mantissas - 1n : mantissas / 2n) + upperFields * (mantissas / 2n) - (this.specials === "nan" ? 1n : 0n)) + 1n;
+
+		const hasSubnormals = this.subnormals && this.mantBits > (this.hiddenBit ? 0 : 1);
+
+		return {
+			expBits: this.expBits,
+			mantBits: this.mantBits,
+			totalBits: this.totalBits,
+			bias: this.bias,
+			precision: this.precision,
+			emin: this.emin,
+			emax: this.emax,
+			maxNormal: this._describe("0" + this._maxFinite()),
+			minNormal: this._describe(this._minNormal()),
+			minSubnormal: hasSubnormals ? this._describe("0".repeat(this.totalBits - 1) + "1") : null,
+			epsilon: {
+				value: Math.pow(2, 1 - this.precision),
+				exact: this._toDecimalString(false, 1n, 1n << BigInt(this.precision - 1))
+			},
+			count: {
+				total: 1n << BigInt(this.totalBits),
+				...count,
+				finite,
+				distinct
+			}
+		};
+	}
+
+	/**
+	 * Calculates the unit in the last place (ULP) at a value: the distance between the two floats closest to it, or, for floats, 
+	 * the distance to the next float away from zero.
+	 *
+	 * @param {number|bigint|string} num
+	 * @return {{ value: number, exact: string }} 
+	 * @memberof Float
+	 */
+	ulp(num) {
+		const value = this._toValue(num);
+		if (value.kind !== "finite") return { value: NaN, exact: "NaN" };
+
+		// floor(log2(|num|)), clamped to the exponents of the format
+		let exp = this.emin;
+		if (value.num > 0n) {
+			let log = this._bitLength(value.num) - this._bitLength(value.den);
+			if ((log >= 0 ? value.num : value.num << BigInt(-log)) < (log >= 0 ? value.den << BigInt(log) : value.den)) log--;
+
+			exp = Math.min(Math.max(log, this.emin), this.emax);
+		}
+
+		const k = exp - this.precision + 1;
+		const n = k >= 0 ? 1n << BigInt(k) : 1n;
+		const d = k >= 0 ? 1n : 1n << BigInt(-k);
+
+		return { value: this._toNumber(false, n, d), exact: this._toDecimalString(false, n, d) };
+	}
+
+	/**
+	 * Gets the smallest float greater than the given one. The next float after the greatest finite value is infinity (or 
+	 * itself, in formats without infinities) and the next float after -0 and +0 is the smallest subnormal (or normal, in formats
+	 * without subnormals).
+	 *
+	 * @param {string} bits
+	 * @return {string} 
+	 * @memberof Float
+	 */
+	nextUp(bits) {
+		this._validate(bits);
+		this._resetFlags();
+
+		const value = this._unpack(bits);
+		switch (value.kind) {
+			case "nan": {
+				if (value.signaling) this._raise(Float.Flag.INVALID);
+				return this._pack({ ...value, signaling: false });
+			}
+			case "inf": return value.negative ? "1" + this._maxFinite() : bits;
+		}
+
+		// Round the number plus a value smaller than any gap between floats toward +infinity, without raising any flag
+		const scratch = new Float(this.expBits, this.mantBits, this.options);
+		const t = this._bitLength(value.den) - 1;
+		const k = BigInt(Math.max(t + 1, this.precision - this.emin + 2));
+		const num = (value.negative ? -value.num : value.num) * (1n << (k - BigInt(t))) + 1n;
+		const next = (num < 0n ? "1" : "0") + scratch._encodeRational(num < 0n, num < 0n ? -num : num, 1n << k, Float.RoundingMode.TOWARD_POSITIVE);
+
+		const nextValue = this._unpack(next);
+		if (nextValue.kind === "inf") return next;
+		if (nextValue.kind === "finite" && this._compare(nextValue, value) > 0) return next;
+
+		// Either the number is the greatest finite value of a format without infinities, or it was flushed to zero
+		return value.negative || value.num === 0n ? this._minNormal() : bits;
+	}
+
+	/**
+	 * Gets the greatest float lower than the given one (see {@link Float#nextUp}).
+	 *
+	 * @param {string} bits
+	 * @return {string} 
+	 * @memberof Float
+	 */
+	nextDown(bits) {
+		this._validate(bits);
+
+		const flip = (b) => (b[0] === "1" ? "0" : "1") + b.substring(1);
+		const next = this.nextUp(flip(bits));
+
+		return this.isNaN(next) ? next : flip(next);
+	}
+
+	/**
+	 * Lists every float of the format, from the smallest to the greatest bits. Only available for formats of up to 16 bits.
+	 *
+	 * @return {TableRow[]} 
+	 * @memberof Float
+	 */
+	enumerate() {
+		if (this.totalBits > 16) throw new Error(`Too many floats to enumerate: the S-E-M configuration ${this.expBits}-${this.mantBits} has 2^${this.totalBits}.`);
+
+		const rows = [];
+		for (let i = 0; i < Math.pow(2, this.totalBits); i++) {
+			const bits = i.toString(2).padStart(this.totalBits, "0");
+			const { value, exact } = this._describe(bits);
+
+			rows.push({ bits, kind: this.classify(bits), value, exact });
+		}
+
+		return rows;
+	}
+
+	/**
+	 * Exports the table of every float of the format (see {@link Float#enumerate}).
+	 *
+	 * @param {"csv"|"json"} [format="csv"]
+	 * @return {string} 
+	 * @memberof Float
+	 */
+	exportTable(format = "csv") {
+		const rows = this.enumerate();
+
+		switch (format) {
+			case "csv": return ["bits,kind,value,exact", ...rows.map(r => `${r.bits},${r.kind},${Object.is(r.value, -0) ? "-0" : r.value},${r.exact}`)].join("\n");
+			case "json": return JSON.stringify(rows.map(r => ({ ...r, value: Number.isFinite(r.value) ? r.value : String(r.value) })), null, 2);
+			default: throw new Error(`Unknown table format: ${format}`);
+		}
+	}
+
+	/**
+	 * Writes the bits of a float in hexadecimal (e.g. "0xC0490FDB"), padded to the bit length of the format.
+	 *
+	 * @param {string} bits
+	 * @return {string} 
+	 * @memberof Float
+	 */
+	toHex(bits) {
+		this._validate(bits);
+
+		return `0x${BigInt(`0b${bits}`).toString(16).toUpperCase().padStart(Math.ceil(this.totalBits / 4), "0")}`;
+	}
+
+	/**
+	 * Reads the bits of a float from their hexadecimal representation (e.g. "0xC0490FDB"). Spaces and underscores between 
+	 * digits are ignored.
+	 *
+	 * @param {string} hex
+	 * @return {string} 
+	 * @memberof Float
+	 */
+	fromHex(hex) {
+		const digits = String(hex).trim().replace(/^0x/i, "").replace(/[\s_]/g, "");
+		if (!/^[0-9a-f]+$/i.test(digits)) throw new Error(`Not a hexadecimal number: ${hex}`);
+
+		const value = BigInt(`0x${digits}`);
+		if (this._bitLength(value) > this.totalBits) {
+			throw new Error(`Not a valid minifloat for the S-E-M configuration ${this.expBits}-${this.mantBits}`);
+		}
+
+		return value.toString(2).padStart(this.totalBits, "0");
+	}
+
+	/**
+	 * Writes a float as a C99 hexadecimal floating-point literal, like `printf("%a")` does (e.g. "-0x1.92p+1"). Subnormal 
+	 * numbers are written with the leading digit 0 and the exponent of the smallest normal number (e.g. "0x0.8p-6").
+	 *
+	 * @param {string} bits
+	 * @return {string} 
+	 * @memberof Float
+	 */
+	toHexFloat(bits) {
+		const kind = this.classify(bits);
+		const sign = bits[0] === "1" ? "-" : "";
+
+		switch (kind) {
+			case "nan": return `${sign}nan`;
+			case "infinity": return `${sign}inf`;
+			case "zero": return `${sign}0x0p+0`;
+		}
+
+		const { lead, fraction, exp } = this._significand(bits);
+		const _fraction = fraction + "0".repeat((4 - fraction.length % 4) % 4);
+		const digits = _fraction.length > 0 ? BigInt(`0b${_fraction}`).toString(16).padStart(_fraction.length / 4, "0").replace(/0+$/, "") : "";
+
+		return `${sign}0x${lead}${digits.length > 0 ? `.${digits}` : ""}p${exp >= 0 ? "+" : ""}${exp}`;
+	}
+
+	/**
+	 * Writes the bits of a float as bytes, which can be read by a DataView (e.g. `getFloat32`) or compared with a memory dump.
+	 * Formats whose bit length is not a multiple of 8 are padded with "0" on the most significant byte.
+	 *
+	 * @param {string} bits
+	 * @param {boolean} [littleEndian=false]
+	 * @return {Uint8Array} 
+	 * @memberof Float
+	 */
+	toBytes(bits, littleEndian = false) {
+		this._validate(bits);
+
+		const length = Math.ceil(this.totalBits / 8);
+		const _bits = bits.padStart(length * 8, "0");
+		const bytes = new Uint8Array(length);
+
+		for (let i = 0; i < length; i++) {
+			bytes[littleEndian ? length - 1 - i : i] = parseInt(_bits.substring(i * 8, i * 8 + 8), 2);
+		}
+
+		return bytes;
+	}
+
+	/**
+	 * Reads the bits of a float from it's bytes (see {@link Float#toBytes}).
+	 *
+	 * @param {ArrayBuffer|ArrayBufferView|number[]} bytes
+	 * @param {boolean} [littleEndian=false]
+	 * @return {string} 
+	 * @memberof Float
+	 */
+	fromBytes(bytes, littleEndian = false) {
+		const _bytes = bytes instanceof ArrayBuffer ? new Uint8Array(bytes)
+			: ArrayBuffer.isView(bytes) ? new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength) 
+			: Uint8Array.from(bytes);
+
+		const length = Math.ceil(this.totalBits / 8);
+		if (_bytes.length !== length) throw new Error(`The S-E-M configuration ${this.expBits}-${this.mantBits} takes ${length} bytes, but ${_bytes.length} were given.`);
+
+		const ordered = littleEndian ? Array.from(_bytes).reverse() : Array.from(_bytes);
+		const bits = ordered.map(b => b.toString(2).padStart(8, "0")).join("");
+
+		if (bits.substring(0, bits.length - this.totalBits).includes("1")) {
+			throw new Error(`Not a valid minifloat for the S-E-M configuration ${this.expBits}-${this.mantBits}`);
+		}
+
+		return bits.substring(bits.length - this.totalBits);
+	}
+
+	/**
+	 * Builds a float of one of the named formats (see {@link Float.Formats}).
+	 *
+	 * @static
+	 * @param {string} name
+	 * @return {Float} 
+	 * @memberof Float
+	 */
+	static preset(name) {
+		const format = Float.Formats[name];
+		if (!format) throw new Error(`Unknown format: ${name}`);
+
+		return new Float(format.expBits, format.mantBits, format.options);
+	}
+
+	/*
+		## Format to Format (convert)
+
+		Input: `bits` - the base-2 representation of the float, in the source format.
+		       `fromFormat`, `toFormat` - the source and destination formats. Either a Float or the name of a preset (see `Float.Formats`).
+		       `rounding` - the rounding mode (see `Float.RoundingMode`). Defaults to "nearest-even".
+
+		  1. Validate the bits, like steps 1 and 2 of `toDecimal`.
+		  2. If the number is NaN, the result is a quiet NaN with the same sign. The payload keeps it's most significant bits: it is shifted left when 
+    the destination has more mantissa bits and right when it has less. If the NaN is signaling, raise the invalid flag.
+		  3. If the number is infinity, the result is infinity with the same sign.
+		  4. Else, decode the number into it's exact value (see `toDecimal`) and round it to the destination format (see `toBinary`, from it's step 3 
+    onwards). Since the value is exact, widening a number never rounds it, while narrowing it may overflow to infinity (or the greatest finite 
+    value), underflow into a subnormal or zero, or round it. The flags are raised on the destination format.
+	*/
+	/**
+	 * Converts a float between two formats.
+	 *
+	 * @static
+	 * @param {string} bits
+	 * @param {Float|string} fromFormat
+	 * @param {Float|string} toFormat
+	 * @param {string} [rounding="nearest-even"]
+	 * @return {ArithmeticResult} 
+	 * @memberof Float
+	 */
+	static convert(bits, fromFormat, toFormat, rounding = Float.RoundingMode.NEAREST_EVEN) {
+		const from = Float._format(fromFormat);
+		const to = Float._format(toFormat);
+		const mode = to._roundingMode(rounding);
+
+		from._validate(bits);
+		to._resetFlags();
+
+		let value = from._unpack(bits);
+		if (value.kind === "nan") {
+			if (value.signaling) to._raise(Float.Flag.INVALID);
+
+			const shift = BigInt(to.mantBits - from.mantBits);
+			const payload = shift >= 0n ? value.payload << shift : value.payload >> -shift;
+
+			value = { ...value, signaling: false, payload };
+		}
+
+		const result = to._pack(value, mode);
+
+		return { bits: result, value: to._describe(result).value, flags: { ...to.lastFlags } };
+	}
+
+	static _format(format) {
+		if (format instanceof Float) return format;
+		if (typeof format === "string") return Float.preset(format);
+
+		throw new Error(`Not a float format: ${format}`);
+	}
+
+	/**
+	 * Renders the steps returned by a traced conversion (the `trace` option of {@link Float#toBinary} and 
+	 * {@link Float#toDecimal}) as a worked solution.
+	 *
+	 * @static
+	 * @param {TraceStep[]} steps
+	 * @param {"text"|"markdown"|"latex"} [format="text"] The Markdown format writes the math in LaTeX, between `$`.
+	 * @return {string} 
+	 * @memberof Float
+	 */
+	static renderTrace(steps, format = "text") {
+		switch (format) {
+			case "text": {
+				return steps.map((s, i) => `${i + 1}. ${s.title}: ${s.description}`).join("\n");
+			}
+			case "markdown": {
+				return steps.map((s, i) => `${i + 1}. **${s.title}**: ${s.description}` + (s.math ? `\n   $${s.math}$` : "")).join("\n");
+			}
+			case "latex": {
+				const escape = (str) => str
+					.replace(/[\\{}$&#%_]/g, c => c === "\\" ? "\\textbackslash{}" : `\\${c}`)
+					.replace(/\^/g, "\\textasciicircum{}")
+					.replace(/×/g, "$\\times$");
+
+				const items = steps.map(s => `\t\\item \\textbf{${escape(s.title)}}: ${escape(s.description)}` + (s.math ? `\n\t\\[ ${s.math} \\]` : ""));
+				return ["\\begin{enumerate}", ...items, "\\end{enumerate}"].join("\n");
+			}
+			default: throw new Error(`Unknown trace format: ${format}`);
+		}
+	}
+
+	/*
+		## Arithmetic (add, sub, mul, div, sqrt, fma)
+
+		Preliminar input: Exponent bits and mantissa bits.
+		Input: `a`, `b`, `c` - the base-2 representations of the operands.
+		       `rounding` - the rounding mode (see `Float.RoundingMode`). Defaults to "nearest-even".
+
+		  1. Validate the operands, like steps 1 and 2 of `toDecimal`.
+		  2. If any operand is NaN, the result is the first NaN operand, with it's sign and payload, but quiet. If any of them is a signaling NaN, 
+    raise the invalid flag.
+		  3. If any operand is infinity, the result follows the IEEE-754 rules: it is infinity (e.g. inf + 1, inf * -2, 1 / 0), 0 (e.g. 1 / inf) or 
+    NaN if the operation is invalid (inf - inf, 0 * inf, 0 / 0, inf / inf, the square root of a negative number). Invalid operations raise the 
+    invalid flag and dividing a finite number other than 0 by 0 raises the division by zero flag.
+		  4. Decode every operand into it's exact value, (2^(mantissa bit length) + M) * 2^(exponent - bias - mantissa bit length) (see `toDecimal`).
+		  5. Calculate the exact result of the operation. Since every value is of the form N / 2^k, this is the same as aligning the significands to the 
+    smallest exponent and adding (or multiplying, ...) them as integers, without dropping any bit.
+			  - 5.1 The square root is not exact. Calculate it's integer part after scaling the radicand by 4^k (which scales the root by 2^k), where k is 
+    high enough for the root to have more bits than the mantissa plus the guard and round bits. If the root is not exact, add half a unit to it, 
+    which sets the sticky bit without changing how the result is rounded.
+		  6. If the exact result is 0, it's sign is the sign of the operands if they are both zeros with the same sign (or the product of the signs, for 
+    multiplications and divisions). Else, it's positive, or negative when rounding toward-negative.
+		  7. Round the exact result to the float like `toBinary` does, from it's step 3 onwards. Rounding only once, after the exact calculation, is 
+    what IEEE-754 requires from every operation (including the fused multiply-add, a * b + c).
+		  8. Return the bits of the result, it's decimal value and the flags raised by the operation.
+	*/
+	/**
+	 * Adds two floats.
+	 *
+	 * @param {string} a
+	 * @param {string} b
+	 * @param {string} [rounding="nearest-even"]
+	 * @return {ArithmeticResult} 
+	 * @memberof Float
+	 */
+	add(a, b, rounding = Float.RoundingMode.NEAREST_EVEN) {
+		return this._arithmetic([a, b], rounding, ([x, y], mode) => this._addValues(x, y, mode));
+	}
+
+	/**
+	 * Subtracts two floats.
+	 *
+	 * @param {string} a
+	 * @param {string} b
+	 * @param {string} [rounding="nearest-even"]
+	 * @return {ArithmeticResult} 
+	 * @memberof Float
+	 */
+	sub(a, b, rounding = Float.RoundingMode.NEAREST_EVEN) {
+		return this._arithmetic([a, b], rounding, ([x, y], mode) => this._addValues(x, { ...y, negative: !y.negative }, mode));
+	}
+
+	/**
+	 * Multiplies two floats.
+	 *
+	 * @param {string} a
+	 * @param {string} b
+	 * @param {string} [rounding="nearest-even"]
+	 * @return {ArithmeticResult} 
+	 * @memberof Float
+	 */
+	mul(a, b, rounding = Float.RoundingMode.NEAREST_EVEN) {
+		return this._arithmetic([a, b], rounding, ([x, y]) => this._mulValues(x, y));
+	}
+
+	/**
+	 * Divides two floats.
+	 *
+	 * @param {string} a
+	 * @param {string} b
+	 * @param {string} [rounding="nearest-even"]
+	 * @return {ArithmeticResult} 
+	 * @memberof Float
+	 */
+	div(a, b, rounding = Float.RoundingMode.NEAREST_EVEN) {
+		return this._arithmetic([a, b], rounding, ([x, y]) => {
+			const negative = x.negative !== y.negative;
+
+			if (x.kind === "inf") return y.kind === "inf" ? this._invalid() : { kind: "inf", negative };
+			if (y.kind === "inf") return { kind: "finite", negative, num: 0n, den: 1n };
+			if (y.num === 0n) {
+				if (x.num === 0n) return this._invalid();
+
+				this._raise(Float.Flag.DIVISION_BY_ZERO);
+				return { kind: "inf", negative };
+			}
 
+			return { kind: "finite", negative, num: x.num * y.den, den: x.den * y.num };
+		});
+	}
+
+	/**
+	 * Calculates the square root of a float.
+	 *
+	 * @param {string} a
+	 * @param {string} [rounding="nearest-even"]
+	 * @return {ArithmeticResult} 
+	 * @memberof Float
+	 */
+	sqrt(a, rounding = Float.RoundingMode.NEAREST_EVEN) {
+		return this._arithmetic([a], rounding, ([x]) => {
+			if (x.kind === "finite" && x.num === 0n) return x;
+			if (x.negative) return this._invalid();
+			if (x.kind === "inf") return x;
+
+			// x = num / 2^t, so sqrt(x) = sqrt(num * 2^(2k - t)) / 2^k, where the root has at least (mantissa bit length + 3) bits
+			const t = this._bitLength(x.den) - 1;
+			const k = Math.max(Math.ceil(t / 2), this.mantBits + 4 + Math.ceil((t - this._bitLength(x.num)) / 2));
+			const radicand = (x.num << BigInt(2 * k)) / x.den;
+			const root = this._isqrt(radicand);
+
+			if (root * root === radicand) return { kind: "finite", negative: false, num: root, den: 1n << BigInt(k) };
+			return { kind: "finite", negative: false, num: 2n * root + 1n, den: 1n << BigInt(k + 1) };
+		});
+	}
+
+	/**
+	 * Calculates the fused multiply-add of three floats, `a * b + c`, rounding only once.
+	 *
+	 * @param {string} a
+	 * @param {string} b
+	 * @param {string} c
+	 * @param {string} [rounding="nearest-even"]
+	 * @return {ArithmeticResult} 
+	 * @memberof Float
+	 */
+	fma(a, b, c, rounding = Float.RoundingMode.NEAREST_EVEN) {
+		return this._arithmetic([a, b, c], rounding, ([x, y, z], mode) => this._addValues(this._mulValues(x, y), z, mode));
+	}
+
+	_roundingMode(rounding) {
+		if (rounding === true) return Float.RoundingMode.NEAREST_EVEN;
+		if (rounding === false || rounding === undefined) return Float.RoundingMode.TOWARD_ZERO;
+		if (Object.values(Float.RoundingMode).includes(rounding)) return rounding;
+
+		throw new Error(`Unknown rounding mode: ${rounding}`);
+	}
+
+	_arithmetic(operands, rounding, operation) {
+		this._resetFlags();
+
+		const mode = this._roundingMode(rounding);
+		const values = operands.map(bits => {
+			this._validate(bits);
+			return this._unpack(bits);
+		});
+
+		// NaN propagation: the result is the first NaN operand, quieted
+		const nans = values.filter(v => v.kind === "nan");
+		if (nans.some(v => v.signaling)) this._raise(Float.Flag.INVALID);
+
+		const result = nans.length > 0 ? { ...nans[0], signaling: false } : operation(values, mode);
+		const bits = this._pack(result, mode);
+		const { kind, negative, num, den } = this._unpack(bits);
+		const value = kind === "nan" ? NaN : kind === "inf" ? (negative ? -Infinity : Infinity) : this._toNumber(negative, num, den);
+
+		return { bits, value, flags: { ...this.lastFlags } };
+	}
+
+	_addValues(x, y, mode) {
+		if (x.kind === "nan") return x;
+		if (y.kind === "nan") return y;
+		if (x.kind === "inf" && y.kind === "inf") return x.negative === y.negative ? x : this._invalid();
+		if (x.kind === "inf") return x;
+		if (y.kind === "inf") return y;
+
+		const num = (x.negative ? -x.num : x.num) * y.den + (y.negative ? -y.num : y.num) * x.den;
+		if (num === 0n) {
+			const negative = x.num === 0n && y.num === 0n && x.negative === y.negative 
+				? x.negative 
+				: mode === Float.RoundingMode.TOWARD_NEGATIVE;
+
+			return { kind: "finite", negative, num: 0n, den: 1n };
+		}
+
+		return { kind: "finite", negative: num < 0n, num: num < 0n ? -num : num, den: x.den * y.den };
+	}
+
+	_mulValues(x, y) {
+		const negative = x.negative !== y.negative;
+
+		if (x.kind === "nan") return x;
+		if (y.kind === "nan") return y;
+		if (x.kind === "inf" || y.kind === "inf") {
+			if ((x.kind === "finite" && x.num === 0n) || (y.kind === "finite" && y.num === 0n)) return this._invalid();
+			return { kind: "inf", negative };
+		}
+
+		return { kind: "finite", negative, num: x.num * y.num, den: x.den * y.den };
+	}
+
+	_validate(bits) {
+		if (typeof bits !== "string" || bits.length !== this.totalBits) {
+			throw new Error(`Not a valid minifloat for the S-E-M configuration ${this.expBits}-${this.mantBits}`);
+		}
+
+		if (bits.split("").some(c => !["0", "1"].includes(c))) throw new Error("Not a binary string.");
+	}
+
+	_unpack(bits) {
+		const mant = bits.substring(1 + this.expBits);
+
+		switch (this._kind(bits)) {
+			case "infinity": return { kind: "inf", negative: bits[0] === "1" };
+			case "nan": {
+				if (this.specials === "nan") return { ...this._nanValue(), negative: bits[0] === "1" };
+				return { kind: "nan", negative: bits[0] === "1", signaling: mant[0] === "0", payload: BigInt(`0b${mant.substring(1) || "0"}`) };
+			}
+			default: return { kind: "finite", ...this._decodeRational(bits) };
+		}
+	}
+
+	_kind(bits) {
+		const rawExp = parseInt(bits.substring(1, 1 + this.expBits), 2);
+		const mant = bits.substring(1 + this.expBits);
+
+		if (rawExp === Math.pow(2, this.expBits) - 1) {
+			if (this.specials === "ieee") return mant.includes("1") ? "nan" : "infinity";
+			if (this.specials === "nan" && !mant.includes("0")) return "nan";
+		}
+
+		if (!mant.includes("1") && (rawExp === 0 || !this.hiddenBit)) return "zero";
+
+		// Without the hidden bit, the number is subnormal if its leading zeros take it below the smallest normal exponent
+		const tiny = this.hiddenBit ? rawExp === 0 : Math.max(rawExp, 1) - mant.indexOf("1") < 1;
+		if (tiny) return this.subnormals ? "subnormal" : "zero";
+		return "normal";
+	}
+
+	_significand(bits) {
+		const rawExp = parseInt(bits.substring(1, 1 + this.expBits), 2);
+		const mant = bits.substring(1 + this.expBits);
+		const exp = Math.max(rawExp, 1) - this.bias;
+
+		if (this.hiddenBit) return { lead: rawExp === 0 ? "0" : "1", fraction: mant, exp };
+		return { lead: mant[0], fraction: mant.substring(1), exp };
+	}
+
+	_maxFinite() {
+		switch (this.specials) {
+			case "ieee": return "1".repeat(this.expBits - 1) + "0" + "1".repeat(this.mantBits);
+			case "nan": return "1".repeat(this.expBits + this.mantBits - 1) + "0";
+			default: return "1".repeat(this.expBits + this.mantBits);
+		}
+	}
+
+	_minNormal() {
+		return "0" + "0".repeat(this.expBits - 1) + "1" + (this.hiddenBit ? "0".repeat(this.mantBits) : "1" + "0".repeat(this.mantBits - 1));
+	}
+
+	_compare(x, y) {
+		const diff = (x.negative ? -x.num : x.num) * y.den - (y.negative ? -y.num : y.num) * x.den;
+		return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+	}
+
+	_pack(value, mode) {
+		const signBit = value.negative ? "1" : "0";
+
+		switch (value.kind) {
+			case "nan": {
+				// A NaN result (like 0/0) in a format without NaN is an invalid operation, whose result is +0
+				if (!this._hasNaN()) {
+					this._raise(Float.Flag.INVALID);
+					return "0".repeat(this.totalBits);
+				}
+
+				if (this.specials === "nan") return signBit + "1".repeat(this.expBits + this.mantBits);
+
+				const payload = (this.mantBits > 1) ? value.payload.toString(2).padStart(this.mantBits - 1, "0") : "";
+				return signBit + "1".repeat(this.expBits) + (value.signaling ? "0" : "1") + payload;
+			}
+			case "inf": {
+				// Formats without infinities use NaN or, without any special value, the greatest finite value
+				switch (this.specials) {
+					case "ieee": return signBit + "1".repeat(this.expBits) + "0".repeat(this.mantBits);
+					case "nan": return signBit + "1".repeat(this.expBits + this.mantBits);
+					default: {
+						// Saturating is an overflow, like the one of a finite number too large for the format
+						this._raise(Float.Flag.OVERFLOW);
+						this._raise(Float.Flag.INEXACT);
+						return signBit + this._maxFinite();
+					}
+				}
+			}
+			default: return signBit + this._encodeRational(value.negative, value.num, value.den, mode);
+		}
+	}
+
+	_describe(bits) {
+		const value = this._unpack(bits);
+
+		switch (value.kind) {
+			case "nan": return { bits, value: NaN, exact: "NaN" };
+			case "inf": return { bits, value: value.negative ? -Infinity : Infinity, exact: `${value.negative ? "-" : ""}Infinity` };
+			default: {
+				const exact = this._toDecimalString(value.negative, value.num, value.den);
+				return { bits, value: this._toNumber(value.negative, value.num, value.den), exact: value.negative && value.num === 0n ? "-0" : exact };
+			}
+		}
+	}
+
+	_hasNaN() {
+		return this.specials === "nan" || (this.specials === "ieee" && this.mantBits > 0);
+	}
+
+	_nanValue() {
+		return { kind: "nan", negative: false, signaling: false, payload: 0n };
+	}
+
+	_invalid() {
+		this._raise(Float.Flag.INVALID);
+		return this._nanValue();
+	}
+
+	_noFlags() {
+		return Object.fromEntries(Object.values(Float.Flag).map(f => [f, false]));
+	}
+
+	_resetFlags() {
+		this.lastFlags = this._noFlags();
+	}
+
+	_raise(flag) {
+		this.lastFlags[flag] = true;
+		this.flags[flag] = true;
+	}
+
+	_isqrt(num) {
+		if (num < 2n) return num;
+
+		// Newton's method, starting above the root
+		let x = 1n << BigInt(Math.ceil(this._bitLength(num) / 2));
+		while (true) {
+			const y = (x + num / x) >> 1n;
+			if (y >= x) return x;
+			x = y;
+		}
+	}
+
+	_encodeAs(bits, options) {
+		switch (options.encoding ?? "binary") {
+			case "binary": return bits;
+			case "hex": return this.toHex(bits);
+			case "hexfloat": return this.toHexFloat(bits);
+			case "bytes": return this.toBytes(bits, options.littleEndian);
+			default: throw new Error(`Unknown encoding: ${options.encoding}`);
+		}
+	}
+
+	_toBits(input, options) {
+		if (input instanceof ArrayBuffer || ArrayBuffer.isView(input) || Array.isArray(input)) return this.fromBytes(input, options.littleEndian);
+
+		if (typeof input === "string" && /^\s*[+-]?0x/i.test(input)) {
+			if (/p/i.test(input)) {
+				const value = this._toValue(input);
+				return (value.negative ? "1" : "0") + this._encodeRational(value.negative, value.num, value.den, Float.RoundingMode.NEAREST_EVEN);
+			}
+
+			return this.fromHex(input);
+		}
+
+		return input;
+	}
+
+	_toValue(num) {
+		if (typeof num === "number" && isNaN(num)) return this._nanValue();
+		if (typeof num === "number" && !isFinite(num)) return { kind: "inf", negative: num < 0 };
+
+		if (typeof num === "string") {
+			const match = /^\s*([+-]?)(inf|infinity|nan)\s*$/i.exec(num);
+
+			if (match && match[2].toLowerCase() === "nan") return { ...this._nanValue(), negative: match[1] === "-" };
+			if (match) return { kind: "inf", negative: match[1] === "-" };
+		}
+
+		return { kind: "finite", ...this._toRational(num) };
+	}
+
+	_toRational(num) {
+		if (typeof num === "bigint") return { negative: num < 0n, num: num < 0n ? -num : num, den: 1n };
+
+		if (typeof num === "number") {
+			if (!isFinite(num)) throw new Error(`Not a finite number: ${num}`);
+
+			const view = new DataView(new ArrayBuffer(8));
+			view.setFloat64(0, num);
+
+			const hi = view.getUint32(0);
+			const rawExp = (hi >>> 20) & 0x7FF;
+			const mant = (BigInt(hi & 0xFFFFF) << 32n) | BigInt(view.getUint32(4));
+			const sig = rawExp === 0 ? mant : mant | (1n << 52n);
+			const exp = (rawExp === 0 ? 1 : rawExp) - 1075;
+
+			return {
+				negative: hi >>> 31 === 1,
+				num: exp >= 0 ? sig << BigInt(exp) : sig,
+				den: exp >= 0 ? 1n : 1n << BigInt(-exp)
+			};
+		}
+
+		const hex = /^\s*([+-]?)0x([0-9a-f]*)(?:\.([0-9a-f]*))?p([+-]?\d+)\s*$/i.exec(String(num));
+		if (hex) {
+			const [, sign, int, dec = "", exp] = hex;
+			if (int + dec === "") throw new Error(`Not a hexadecimal floating-point number: ${num}`);
+
+			const e = Number(exp) - 4 * dec.length;
+
+			return {
+				negative: sign === "-",
+				num: BigInt(`0x${int + dec}`) << BigInt(Math.max(0, e)),
+				den: 1n << BigInt(Math.max(0, -e))
+			};
+		}
+
+		const match = /^\s*([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?\s*$/i.exec(String(num));
+		if (!match || match[2] + (match[3] ?? "") === "") throw new Error(`Not a decimal number: ${num}`);
+
+		const [, sign, int, dec = "", exp = "0"] = match;
+		const e = Number(exp) - dec.length;
+
+		return {
+			negative: sign === "-",
+			num: BigInt(int + dec) * (e > 0 ? 10n ** BigInt(e) : 1n),
+			den: e < 0 ? 10n ** BigInt(-e) : 1n
+		};
+	}
+
+	_encodeRational(negative, num, den, mode, trace = null) {
 		// Integer bits
-		const intBits = this._toBinaryInt(Number(int));
+		const int = num / den;
+		const intBits = int.toString(2);
+		const dec = num % den;
+
+		if (trace) {
+			const decStr = this._toDecimalString(false, dec, den);
+
+			this._trace(trace, "split", "Split", `Split the number into it's integer part (${int}) and decimal part (${decStr}).`, 
+				{ integer: int.toString(), decimal: decStr }, `|x| = ${int} + ${decStr}`);
+			this._trace(trace, "integer", "Integer part", `Convert the integer part into binary through integer division by 2: ${int} = ${intBits} (base 2).`,
+				{ bits: intBits }, `${int}_{10} = ${intBits}_{2}`);
+		}
 
 		// Decimal bits
-		const _decBits = [];
-		let decN = Math.abs(Number(`0.${dec}`));
-		let decNLim = this.totalBits;
-		let iters = 0;
-		
-		while (iters <= decNLim && decN > 0) {
-			const nn = decN * 2;
+		let decNLim = 0;
+
+		if (int > 0n) {
+			decNLim = Math.max(0, this.precision + 1 - (intBits.length - 1));
+		} else if (dec > 0n) {
+			let lead = this._bitLength(den) - this._bitLength(dec);
+			if ((dec << BigInt(lead)) < den) lead++;
 
-			_decBits.push(parseInt(this._unexponentiate(nn)));
-			decN = Number(`0.${this._unexponentiate(nn).split(".")[1]}`);
-			iters++;
+			decNLim = Math.max(0, Math.min(lead + this.precision + 1, this.precision - this.emin + 1));
 		}
 
-		const decBits = _decBits.join("");
+		const decN = dec << BigInt(decNLim);
+		const decBits = decNLim > 0 ? (decN / den).toString(2).padStart(decNLim, "0") : "";
+		const sticky = decN % den !== 0n;
+
+		if (trace) {
+			const decStr = this._toDecimalString(false, dec, den);
+
+			if (decNLim > 0) {
+				this._trace(trace, "decimal", "Decimal part", `Convert the decimal part into binary through multiplication by 2, reading ${decNLim} bits: `
+					+ `${decStr} = 0.${decBits}${sticky ? "..." : ""} (base 2).` + (sticky ? " The decimal part is not exhausted, so the sticky bit is set." : ""),
+					{ bits: decBits, sticky }, `${decStr}_{10} ${sticky ? "\\approx" : "="} 0.${decBits}_{2}`);
+			} else {
+				this._trace(trace, "decimal", "Decimal part", dec > 0n 
+					? "The integer part already fills the significand, so no bits of the decimal part are read. The sticky bit is set."
+					: "The decimal part is 0, so it has no bits.", { bits: decBits, sticky });
+			}
+		}
 
 		// Exponent
-		let _exp = 0;
+		let _exp = -(decNLim + 1);
 		let normIntBits = intBits.replace(/^0+/gm, "");
 		if (normIntBits.includes("1")) {
 			_exp = normIntBits.length - 1;
@@ -173,139 +1452,209 @@ class Float {
 			_exp = - (decBits.indexOf("1") + 1);
 		}
 
-		let exp = (_exp - this.bias === 0) ? 0 : _exp + this.bias;
-		let expBits;
+		const normalizedData = (intBits + decBits).replace(/^0+/gm, "");
 
-		// Mantissa
-		let mantBits;
-		const payloadData = intBits + decBits;
-		const normalizedData = payloadData.replace(/^0+/gm, "");
+		if (normalizedData.includes("1")) {
+			const joined = decBits.length > 0 ? `${intBits}.${decBits}` : intBits;
 
-		if (exp < 0) {
-			expBits = "0".repeat(this.expBits);
+			this._trace(trace, "normalize", "Normalization", `Join both parts (${joined}) and move the binary point until only a 1 is left of it: `
+				+ `1.${normalizedData.substring(1)} × 2^${_exp}.`, { data: normalizedData, exp: _exp }, 
+				`${joined}_{2} = 1.${normalizedData.substring(1)}_{2} \\times 2^{${_exp}}`);
+		} else if (!sticky) {
+			this._trace(trace, "normalize", "Normalization", "Both parts have no high bit, so the number is 0.");
+		}
 
-			const nexp = 1 - this.bias;
-			const denExp = _exp - nexp;
-			const denormalizedData = "0".repeat(Math.max(0, -denExp - 1)) + normalizedData;
+		return this._encode(negative, _exp, normalizedData, sticky, mode, trace);
+	}
 
-			mantBits = denormalizedData.substring(0, this.mantBits) + "0".repeat(Math.max(0, this.mantBits - denormalizedData.length));
-		} else {
-			const _expBits = this._toBinaryInt(exp);
-			expBits = "0".repeat(Math.max(0, this.expBits - _expBits.length)) + _expBits;
-			let inf = false;
+	_decodeRational(bits) {
+		const rawExp = parseInt(bits.substring(1, 1 + this.expBits), 2);
+		const mant = BigInt(`0b${bits.substring(1 + this.expBits) || "0"}`);
 
-			if (expBits.length > this.expBits) {
-				expBits = "1".repeat(this.expBits);
-				inf = true;
-			}
+		if (this._kind(bits) === "zero") return { negative: bits[0] === "1", num: 0n, den: 1n };
 
-			mantBits = (() => {
-				if (inf || Math.abs(num) > this.maxAbs) {
-					return "0".repeat(this.mantBits);
-				}
+		const sig = rawExp === 0 || !this.hiddenBit ? mant : mant | (1n << BigInt(this.mantBits));
+		const exp = Math.max(rawExp, 1) - this.bias - (this.precision - 1);
 
-				if (normalizedData.length <= this.mantBits) {
-					const data = normalizedData.substring(+(exp > 0), this.mantBits);
-					return data + "0".repeat(Math.max(0, this.mantBits - data.length));
-				} else {
-					let data = normalizedData.substring(+(exp > 0), this.mantBits + +(exp > 0));
-
-					if (rounding) {
-						const lsb = normalizedData[this.mantBits + 1] || "0";
-						let _data = data.split("").reverse();
-
-						let sum = parseInt(lsb);
-						let carry = 0;
-						loop: for (let i = 0; i < _data.length; i++) {
-							const bit = parseInt(_data[i]);
-
-							switch (bit + sum) {
-								case 0: {
-									_data[i] = `${carry}`;
-									break loop;
-								}
-								case 1: {
-									if (carry) {
-										_data[i] = "0";
-										carry = 0;
-									} else _data[i] = "1";
-
-									break loop;
-								}
-								case 2: {
-									if (carry) _data[i] = "1"
-									carry = 1;
-									continue;
-								}
-							}
-						}
-
-						data = _data.reverse().join("");
-					}
+		return {
+			negative: bits[0] === "1",
+			num: exp >= 0 ? sig << BigInt(exp) : sig,
+			den: exp >= 0 ? 1n : 1n << BigInt(-exp)
+		};
+	}
 
-					return data + "0".repeat(Math.max(0, this.mantBits - data.length));
-				}
-			})();
+	_toNumber(negative, num, den, raise = false) {
+		const binary64 = new Float(11, 52);
+		const bits = binary64._encodeRational(negative, num, den, Float.RoundingMode.NEAREST_EVEN);
+
+		if (raise) {
+			for (const [flag, raised] of Object.entries(binary64.lastFlags)) if (raised) this._raise(flag);
 		}
 
-		return signBit + expBits + mantBits;
+		const view = new DataView(new ArrayBuffer(8));
+
+		view.setUint32(0, parseInt((negative ? "1" : "0") + bits.substring(0, 31), 2));
+		view.setUint32(4, parseInt(bits.substring(31), 2));
+
+		return view.getFloat64(0);
 	}
 
-	/*
-		## Binary to Decimal (toDecimal)
+	_toDecimalString(negative, num, den) {
+		// The denominator must be of the form 2^a * 5^b, so that the expansion is finite
+		const twos = this._bitLength(den & -den) - 1;
+		const odd = den >> BigInt(twos);
+		const _fives = Math.floor((this._bitLength(odd) - 1) / Math.log2(5));
+		const fives = [_fives, _fives + 1].find(b => 5n ** BigInt(b) === odd);
 
-		Preliminar input: Exponent bits and mantissa bits.
-		Input: `bits` - the base-2 representation of the float.
+		if (fives === undefined) throw new Error("The decimal expansion is not finite.");
 
-		  1. If the length of the bits is different that the total bit length of the float (1 + exponent bit length + mantissa bit length), do not calculate.
-		  2. If the bits include anithing else than the digits "0" and "1", do not calculate.
-		  3. Determine the sign: If the first bit is "0", the sign is 1, else the sign is -1.
-		  4. Get the exponent: read the bits from 1 through (1 + exponent bit length). Convert it to decimal.
-		  5. Get the mantissa bits: read the bits from (1 + exponent bit length) through (1 + exponent bit length) through (1 + exponent bit length + 
-    mantissa bit length).
-		  6. If the exponent is greater than the double of the bias (2^(k-1) - 1, where k is the number of bits of the exponent of the float spec), the 
-    number is a special representation. Else skip to step 7.
-			  - 6.1 If the exponent is equal to the double of the bias + 1, the value is infinity. Return sign * the symbol for infinity.
-			  - 6.2 Else, return the symbol for the NaN.
-		  7. Calculate the decimal value of the mantissa bits.
-		  8. Else, if the exponent is 0, return (sign * mantissa * 2^(1 - bias))
-		  9. Else, return (sign * (1 + mantissa) * 2^(exponent - bias))
-	*/
-	toDecimal(bits) {
-		if (bits.length !== this.totalBits) return NaN;
-			//throw new Error(`Not a valid minifloat for the S-E-M configuration ${this.expBits}-${this.mantBits}`);
-		
-		if (bits.split("").some(c => !["0", "1"].includes(c))) return NaN;
-			//throw new Error("Not a binary string.");
+		const k = Math.max(twos, fives);
+		const digits = (num * 10n ** BigInt(k) / den).toString().padStart(k + 1, "0");
 
-		const sign = parseInt(bits[0], 2) == 0 ? 1 : -1;
-		const rawExp = parseInt(bits.substring(1, 1 + this.expBits), 2);
-		const mant = bits.substring(1 + this.expBits, 1 + this.expBits + this.mantBits);
+		const int = digits.substring(0, digits.length - k);
+		const dec = digits.substring(digits.length - k).replace(/0+$/, "");
+
+		return `${negative ? "-" : ""}${int}${dec.length > 0 ? `.${dec}` : ""}`;
+	}
+
+	_bitLength(num) {
+		return num === 0n ? 0 : num.toString(2).length;
+	}
+
+	_encode(negative, exp, data, sticky, mode, trace = null) {
+		if (!data.includes("1") && !sticky) return "0".repeat(this.expBits + this.mantBits);
+
+		// Denormalization
+		const nexp = this.emin;
+		const tiny = exp < nexp;
+		if (tiny) {
+			this._trace(trace, "denormalize", "Denormalization", `The offset exponent (${exp}) is lower than the subnormal exponent (${nexp}), so the `
+				+ `number is subnormal. Move the binary point ${nexp - exp} places to the left: 0.${"0".repeat(nexp - exp - 1) + data} × 2^${nexp}.`,
+				{ shift: nexp - exp, exp: nexp }, `x = 0.${"0".repeat(nexp - exp - 1) + data}_{2} \\times 2^{${nexp}}`);
+
+			data = "0".repeat(nexp - exp) + data;
+			exp = nexp;
+		}
 
-		let v;
-		if (rawExp > this.bias * 2) { // Special
-			if (rawExp == this.bias * 2 + 1 && parseInt(mant, 2) === 0) { // Infinity
-				return sign * Infinity;
-			} else return NaN;
-		} else if (rawExp === 0) { // Subnormal
-			v = sign * this._binaryFracToDec(mant) * Math.pow(2, 1 - this.bias);
-		} else { // Normal
-			v = sign * (1 + this._binaryFracToDec(mant)) * Math.pow(2, rawExp - this.bias);
+		// Rounding (without subnormals, a subnormal number rounds to 0 or to the smallest normal number, by it's hidden bit alone)
+		const flush = tiny && !this.subnormals;
+		const length = flush ? 1 : this.precision;
+		if (sticky || data.substring(length).includes("1")) {
+			this._raise(Float.Flag.INEXACT);
+			if (tiny) this._raise(Float.Flag.UNDERFLOW);
 		}
 
-		return v;
+		let significand = this._roundSignificand(data, length, sticky, negative, mode, trace).padEnd(this.precision, "0");
+		if (significand.length > this.precision) {
+			significand = significand.substring(0, this.precision);
+			exp++;
+
+			this._trace(trace, "carry", "Rounding carry", `The rounding carried out of the significand, so the offset exponent becomes ${exp}.`, { exp });
+		}
+
+		// Overflow (in formats with a single NaN, the NaN bits are not a number either)
+		const mantBits = this.hiddenBit ? significand.substring(1) : significand;
+		if (exp > this.emax || (exp === this.emax && this.specials === "nan" && !mantBits.includes("0"))) {
+			this._raise(Float.Flag.OVERFLOW);
+			this._raise(Float.Flag.INEXACT);
+
+			const bits = this._overflow(negative, mode);
+			const kind = this._kind("0" + bits);
+			const inf = kind === "normal" ? "the greatest finite value" : kind === "nan" ? "NaN (the format has no infinity)" : "infinity";
+
+			this._trace(trace, "overflow", "Overflow", `The offset exponent (${exp}) is greater than the greatest exponent (${this.emax}), so the number `
+				+ `overflows. Rounding ${mode}, the result is ${inf}.`, { exp });
+
+			return bits;
+		}
+
+		// Flush to zero
+		if (flush && significand[0] === "0") {
+			this._trace(trace, "flush", "Flush to zero", "The number is subnormal, but the format has no subnormal numbers, so it is flushed to 0.");
+
+			return "0".repeat(this.expBits + this.mantBits);
+		}
+
+		const _expBits = this._toBinaryInt(significand[0] === "1" ? exp + this.bias : 0);
+		const expBits = "0".repeat(Math.max(0, this.expBits - _expBits.length)) + _expBits;
+
+		if (significand[0] === "1") {
+			this._trace(trace, "exponent", "Exponent", `Add the bias (${this.bias}) to the offset exponent (${exp}): ${exp + this.bias} = ${expBits} (base 2).`,
+				{ exp, biased: exp + this.bias, bits: expBits }, `e = ${exp} + ${this.bias} = ${exp + this.bias} = ${expBits}_{2}`);
+		} else {
+			this._trace(trace, "exponent", "Exponent", "The hidden bit is 0, so the number is subnormal and the exponent bits are all 0.", 
+				{ exp, biased: 0, bits: expBits });
+		}
+
+		return expBits + mantBits;
 	}
 
-	_binaryFracToDec(bits) {
-		let num = 0;
+	_roundSignificand(data, length, sticky, negative, mode, trace = null) {
+		const kept = data.substring(0, length) + "0".repeat(Math.max(0, length - data.length));
+		const guard = data[length] === "1";
+		const round = data[length + 1] === "1";
+		const _sticky = sticky || data.substring(length + 2).includes("1");
+		const inexact = guard || round || _sticky;
 
-		for (let i = 0; i < bits.length; i++) {
-			num += bits[i] * Math.pow(2, -(i + 1));
+		let up;
+		switch (mode) {
+			case Float.RoundingMode.NEAREST_EVEN: {
+				up = guard && (round || _sticky || kept[length - 1] === "1");
+				break;
+			}
+			case Float.RoundingMode.NEAREST_AWAY: {
+				up = guard;
+				break;
+			}
+			case Float.RoundingMode.TOWARD_ZERO: {
+				up = false;
+				break;
+			}
+			case Float.RoundingMode.TOWARD_POSITIVE: {
+				up = !negative && inexact;
+				break;
+			}
+			case Float.RoundingMode.TOWARD_NEGATIVE: {
+				up = negative && inexact;
+				break;
+			}
 		}
 
-		return num;
+		const rounded = up ? this._increment(kept) : kept;
+
+		this._trace(trace, "round", "Rounding", `Keep the first ${length} bits of the significand (${kept}). The guard bit is ${+guard}, the round bit `
+			+ `is ${+round} and the sticky bit is ${+_sticky}. Rounding ${mode}, ${up ? `add 1 to the significand: ${rounded}` : "the significand is kept"}.`,
+			{ kept, guard, round, sticky: _sticky, up, rounded }, `${kept}_{2}${up ? " + 1" : ""} \\to ${rounded}_{2}`);
+
+		return rounded;
+	}
+
+	_trace(trace, step, title, description, values = {}, math = null) {
+		if (trace) trace.push({ step, title, description, values, math });
 	}
-	
+
+	_overflow(negative, mode) {
+		const toInfinity = mode === Float.RoundingMode.NEAREST_EVEN
+			|| mode === Float.RoundingMode.NEAREST_AWAY
+			|| (mode === Float.RoundingMode.TOWARD_POSITIVE && !negative)
+			|| (mode === Float.RoundingMode.TOWARD_NEGATIVE && negative);
+
+		if (toInfinity) return this._pack({ kind: "inf", negative }).substring(1);
+		return this._maxFinite();
+	}
+
+	_increment(bits) {
+		const _bits = bits.split("");
+
+		let i = _bits.length - 1;
+		while (i >= 0 && _bits[i] === "1") _bits[i--] = "0";
+
+		if (i < 0) return "1" + _bits.join("");
+		_bits[i] = "1";
+
+		return _bits.join("");
+	}
+
 	_toBinaryInt(num) {
 		const bits = [];
 		let n = Math.abs(num);
@@ -326,23 +1675,86 @@ class Float {
 
 		return p;
 	}
+}
+
+// Allows the class to be required from Node.js (see float-cli.js), while still being pasteable into a browser console.
+if (typeof module !== "undefined" && module.exports) module.exports = Float;
 
-	_unexponentiate(num) {
-		let data = String(num).split(/[eE]/);
-		if (data.length == 1) return data[0];
+/**
+ * @typedef {Object} FloatOptions
+ * @property {number} [bias] The exponent bias. Defaults to 2^(k-1) - 1, where k is the number of exponent bits.
+ * @property {"ieee"|"nan"|"none"} [specials="ieee"] How infinities and NaNs are encoded. "ieee" reserves the exponent bits all "1" 
+ *   for them. "nan" has no infinities and a single NaN, with all the exponent and mantissa bits set (like FP8 E4M3), so numbers that
+ *   overflow to infinity become NaN. "none" has no special values at all, so numbers that overflow (and infinities) saturate to the
+ *   greatest finite value, raising the overflow and inexact flags, and NaN results (like 0/0, or a NaN converted from another
+ *   format) become +0, raising the invalid flag.
+ * @property {boolean} [subnormals=true] Whether the format has subnormal numbers. If not, numbers that would be subnormal round
+ *   to 0 or to the smallest normal number (below half of it, to nearest, they're flushed to 0), and the subnormal bits (the
+ *   exponent bits all "0") are read as 0.
+ * @property {boolean} [hiddenBit=true] Whether the leading bit of the significand is implicit. If not, it is the first mantissa bit, 
+ *   and the floats below the smallest normal value (the ones whose leading zeros outnumber their exponent) are subnormal.
+ */
 
-		let z = '',
-			sign = num < 0 ? '-' : '',
-			str = data[0].replace('.', ''),
-			mag = Number(data[1]) + 1;
+/**
+ * @typedef {Object} TraceStep
+ * @property {string} step The identifier of the step (e.g. "sign", "normalize", "round").
+ * @property {string} title
+ * @property {string} description The step, written in plain text.
+ * @property {Object} values The intermediate values of the step.
+ * @property {string|null} math The step, written as a LaTeX formula.
+ */
 
-		if (mag < 0) {
-			z = sign + '0.';
-			while (mag++) z += '0';
-			return z + str.replace(/^\-/, '');
-		}
-		mag -= str.length;
-		while (mag--) z += '0';
-		return str + z;
-	}
-}
+/**
+ * @typedef {Object} ArithmeticResult
+ * @property {string} bits The base-2 representation of the result.
+ * @property {number} value The decimal value of the result.
+ * @property {Flags} flags The exception flags raised by the operation.
+ */
+
+/**
+ * @typedef {Object} FloatDecoding
+ * @property {"zero"|"subnormal"|"normal"|"infinity"|"nan"} kind
+ * @property {boolean} negative
+ * @property {string} signBit
+ * @property {string} expBits
+ * @property {string} mantBits
+ * @property {number} value The decimal value of the float (-0 for negative zeros).
+ * @property {number} [exponent] The unbiased exponent, for zeros and finite numbers.
+ * @property {string} [significand] The significand, with the hidden bit, for finite numbers other than zero (e.g. "1.001").
+ * @property {boolean} [signaling] Whether the NaN is signaling (the first mantissa bit is unset).
+ * @property {bigint} [payload] The payload of the NaN: the value of the mantissa bits after the first one.
+ */
+
+/**
+ * @typedef {Object} TableRow
+ * @property {string} bits
+ * @property {"zero"|"subnormal"|"normal"|"infinity"|"nan"} [kind]
+ * @property {number} value
+ * @property {string} exact The exact decimal value.
+ */
+
+/**
+ * @typedef {Object} FormatProperties
+ * @property {number} expBits
+ * @property {number} mantBits
+ * @property {number} totalBits
+ * @property {number} bias
+ * @property {number} precision The number of significand bits, including the hidden bit.
+ * @property {number} emin The unbiased exponent of the smallest normal value (and of every subnormal value).
+ * @property {number} emax The unbiased exponent of the greatest normal value.
+ * @property {TableRow} maxNormal
+ * @property {TableRow} minNormal
+ * @property {TableRow|null} minSubnormal Null if the format has no subnormal numbers.
+ * @property {{ value: number, exact: string }} epsilon The distance between 1 and the next float.
+ * @property {Object.<string, bigint>} count The number of floats of each class ("normal", "subnormal", "zero", "infinity", "nan"),
+ *   of finite floats ("finite"), of distinct finite values ("distinct", where -0 and +0 count once) and of bit patterns ("total").
+ */
+
+/**
+ * @typedef {Object} Flags
+ * @property {boolean} invalid The operation has no meaningful result (e.g. 0 / 0), so the result is NaN.
+ * @property {boolean} divisionByZero A finite number other than 0 was divided by 0, so the result is infinity.
+ * @property {boolean} overflow The rounded result was too large for the format.
+ * @property {boolean} underflow The result was subnormal (before rounding) and inexact.
+ * @property {boolean} inexact The result was rounded.
+ */
\ No newline at end of file
@@ -0,0 +1,659 @@
+/*
+INTEGER REPRESENTATION ALGORITHM
+
+  This file contains an algorithm to convert integers and fixed-point numbers from decimal to binary representations and vice-versa, in the
+encodings used alongside floats: unsigned, two's complement, one's complement, sign-magnitude, excess-K and Qm.n fixed-point. It depends on
+`Float` (float.js), which must be loaded first (on Node.js, it is required), for the conversions between both.
+
+MANUAL ALGORITHM
+
+## Decimal to Binary (manual)
+  Input: `num` - the base-10 representation of the number.
+         `n` - the number of bits.
+
+  1. If the number is fixed-point, with f fraction bits, multiply `num` by 2^f. Round it to an integer.
+  2. Check the range of the encoding. If the number is outside of it, it overflows and cannot be represented.
+    - 2.1 Unsigned: 0 through 2^n - 1.
+    - 2.2 Two's complement: -2^(n-1) through 2^(n-1) - 1.
+    - 2.3 One's complement and sign-magnitude: -(2^(n-1) - 1) through 2^(n-1) - 1. Both have two zeros (+0 and -0).
+    - 2.4 Excess-K: -K through 2^n - 1 - K.
+  3. Encode the number.
+    - 3.1 Unsigned: convert the number into binary through integer division by 2 and prefix it with "0" until it has n bits.
+    - 3.2 Sign-magnitude: the first bit is the sign ("0" if positive, "1" if negative) and the remaining n - 1 bits are the absolute value of
+the number, as in 3.1.
+    - 3.3 One's complement: encode the absolute value as in 3.1. If the number is negative, invert every bit.
+    - 3.4 Two's complement: encode the absolute value as in 3.1. If the number is negative, invert every bit and add 1 (or, equivalently, encode
+2^n + num as in 3.1).
+    - 3.5 Excess-K: add K to the number and encode it as in 3.1.
+
+## Binary to Decimal (manual)
+  1. Read the bits as an unsigned integer (U).
+  2. Decode the number.
+    - 2.1 Unsigned: the number is U.
+    - 2.2 Sign-magnitude: the number is the value of the last n - 1 bits, negated if the first bit is "1".
+    - 2.3 One's complement: if the first bit is "1", invert every bit and negate the result. Else, the number is U.
+    - 2.4 Two's complement: if the first bit is "1", the number is U - 2^n. Else, the number is U.
+    - 2.5 Excess-K: the number is U - K.
+  3. If the number is fixed-point, with f fraction bits, divide it by 2^f.
+*/
+
+// The Float class, required on Node.js (on a browser console, float.js must be pasted first). It has another name, as the
+// Float pasted on the console can't be declared again.
+const FloatClass = (typeof module !== "undefined" && module.exports) ? require("./float.js") : Float;
+
+/**
+ *   The `Integer` allows the conversion between the decimal and binary representations of integers and fixed-point numbers,
+ * in any of the encodings of {@link Integer.Encoding} and with any number of bits. Fixed-point numbers are integers scaled
+ * by 2^-f, where f is the number of fraction bits.
+ *
+ * Numbers that do not fit the encoding overflow. By default, encoding them throws an error, but they can also wrap around
+ * (like the integer arithmetic of a processor) or saturate to the closest limit (see {@link Integer.Overflow}).
+ *
+ * Usage:
+ * ```js
+ * // Represents an 8-bit two's complement integer.
+ * const i8 = new Integer(8);
+ *
+ * console.log(i8.encode(-5), i8.decode("11111011").value); // 11111011 -5
+ * console.log(i8.properties().min.value, i8.properties().max.value); // -128 127
+ *
+ * // The other encodings are chosen by name, and excess-K takes the bias K as an option.
+ * const excess = new Integer(4, Integer.Encoding.EXCESS_K, { bias: 7 });
+ * const ones = new Integer(4, Integer.Encoding.ONES_COMPLEMENT);
+ * console.log(excess.encode(-2), ones.encode(-2), ones.encode(-0)); // 0101 1101 1111
+ *
+ * // Numbers out of range throw an error, unless told to wrap around or saturate. The flags tell what happened.
+ * const wrapping = new Integer(8, Integer.Encoding.TWOS_COMPLEMENT, { overflow: Integer.Overflow.WRAP });
+ * console.log(wrapping.encode(200), wrapping.lastFlags); // 11001000 { overflow: true, inexact: false }
+ * console.log(wrapping.add("01111111", "00000001"));     // { bits: '10000000', value: -128, flags: { overflow: true, ... } }
+ *
+ * // Qm.n fixed-point numbers have m integer bits (including the sign) and n fraction bits.
+ * const q = Integer.q(4, 4);
+ * console.log(q.encode(-2.25), q.decode(q.encode(3.3, Float.RoundingMode.NEAREST_EVEN)).exact); // 11011100 3.3125
+ *
+ * // Numbers can be converted exactly between these encodings and any float format.
+ * console.log(Integer.convert("11111011", i8, ones));          // { bits: '1010', value: -5, flags: { ... } }
+ * console.log(q.toFloat(q.encode(-2.25), new Float(4, 3)));    // { bits: '11000001', value: -2.25, flags: { ... } }
+ * console.log(wrapping.fromFloat("01000011010010000000000000000000", "single")); // { bits: '11001000', value: -56, flags: { overflow: true, ... } }
+ * ```
+ *
+ * @class Integer
+ */
+class Integer {
+	/**
+	 * The supported integer encodings.
+	 *
+	 * @static
+	 * @memberof Integer
+	 */
+	static Encoding = Object.freeze({
+		UNSIGNED: "unsigned",
+		TWOS_COMPLEMENT: "twos-complement",
+		ONES_COMPLEMENT: "ones-complement",
+		SIGN_MAGNITUDE: "sign-magnitude",
+		EXCESS_K: "excess-k"
+	});
+
+	/**
+	 * What to do with numbers that do not fit the encoding: throw an error, wrap around (modulo 2^n, or 2^n - 1 in one's complement,
+	 * whose carry is added back; sign-magnitude keeps the sign and wraps the magnitude) or saturate to the closest limit.
+	 *
+	 * @static
+	 * @memberof Integer
+	 */
+	static Overflow = Object.freeze({
+		ERROR: "error",
+		WRAP: "wrap",
+		SATURATE: "saturate"
+	});
+
+	/**
+	 * @param {number} bits The number of bits.
+	 * @param {string} [encoding="twos-complement"] One of {@link Integer.Encoding}.
+	 * @param {IntegerOptions} [options]
+	 * @memberof Integer
+	 */
+	constructor(bits, encoding = Integer.Encoding.TWOS_COMPLEMENT, options = {}) {
+		const { bias = Math.pow(2, bits - 1) - 1, fraction = 0, overflow = Integer.Overflow.ERROR } = options;
+
+		if (!Number.isInteger(bits) || bits < 1) throw new Error(`Not a valid number of bits: ${bits}`);
+		if (!Object.values(Integer.Encoding).includes(encoding)) throw new Error(`Unknown integer encoding: ${encoding}`);
+		if (!Object.values(Integer.Overflow).includes(overflow)) throw new Error(`Unknown overflow handling: ${overflow}`);
+		if (!Number.isInteger(fraction) || fraction < 0) throw new Error(`Not a valid number of fraction bits: ${fraction}`);
+		if (encoding === Integer.Encoding.EXCESS_K && (!Number.isInteger(bias) || bias < 0)) {
+			throw new Error(`Not a valid excess-K bias: ${bias} (expected a non-negative integer)`);
+		}
+		if (bits < 2 && [Integer.Encoding.ONES_COMPLEMENT, Integer.Encoding.SIGN_MAGNITUDE].includes(encoding)) {
+			throw new Error(`A ${encoding} integer needs at least 2 bits.`);
+		}
+
+		this.totalBits = bits;
+		this.encoding = encoding;
+		this.bias = encoding === Integer.Encoding.EXCESS_K ? bias : 0;
+		this.fraction = fraction;
+		this.overflow = overflow;
+
+		// The limits of the encoded integer, before the fixed-point scaling
+		const n = BigInt(bits);
+		const half = 1n << (n - 1n);
+		switch (encoding) {
+			case Integer.Encoding.UNSIGNED: {
+				this.min = 0n;
+				this.max = (1n << n) - 1n;
+				break;
+			}
+			case Integer.Encoding.TWOS_COMPLEMENT: {
+				this.min = -half;
+				this.max = half - 1n;
+				break;
+			}
+			case Integer.Encoding.ONES_COMPLEMENT:
+			case Integer.Encoding.SIGN_MAGNITUDE: {
+				this.min = 1n - half;
+				this.max = half - 1n;
+				break;
+			}
+			case Integer.Encoding.EXCESS_K: {
+				this.min = -BigInt(this.bias);
+				this.max = (1n << n) - 1n - BigInt(this.bias);
+				break;
+			}
+		}
+
+		/**
+		 * The flags raised since the instance was created, or since the last call to {@link Integer#clearFlags}.
+		 * @type {IntegerFlags}
+		 */
+		this.flags = this._noFlags();
+
+		/**
+		 * The flags raised by the last conversion or operation.
+		 * @type {IntegerFlags}
+		 */
+		this.lastFlags = this._noFlags();
+	}
+
+	/**
+	 * Builds a Qm.n fixed-point format: a two's complement number with m integer bits (including the sign bit) and n
+	 * fraction bits, so m + n bits in total. For example, Q1.15 is a 16-bit number between -1 and 1 - 2^-15.
+	 *
+	 * @static
+	 * @param {number} m The number of integer bits, including the sign bit.
+	 * @param {number} n The number of fraction bits.
+	 * @param {IntegerOptions} [options]
+	 * @return {Integer}
+	 * @memberof Integer
+	 */
+	static q(m, n, options = {}) {
+		return new Integer(m + n, Integer.Encoding.TWOS_COMPLEMENT, { ...options, fraction: n });
+	}
+
+	/**
+	 * Lowers every flag collected on {@link Integer#flags}.
+	 *
+	 * @memberof Integer
+	 */
+	clearFlags() {
+		this.flags = this._noFlags();
+	}
+
+	/**
+	 * Encodes a number. Fixed-point numbers that fall between two representable values are rounded.
+	 *
+	 * @param {number|bigint|string} num A Number, a BigInt or a decimal string (e.g. "-2.25", "-0").
+	 * @param {string|boolean} [rounding="nearest-even"] One of {@link Float.RoundingMode}. `true` is an alias for "nearest-even"
+	 *   and `false` for "toward-zero".
+	 * @return {string}
+	 * @memberof Integer
+	 */
+	encode(num, rounding = FloatClass.RoundingMode.NEAREST_EVEN) {
+		this._resetFlags();
+
+		const value = this._toRational(num);
+		const integer = this._round(value, this._roundingMode(rounding));
+
+		// -0 is kept in the encodings that have it
+		return this._pack(integer, value.negative && integer === 0n);
+	}
+
+	/**
+	 * Decodes the bits of a number.
+	 *
+	 * @param {string} bits
+	 * @return {IntegerDecoding}
+	 * @memberof Integer
+	 */
+	decode(bits) {
+		this._validate(bits);
+
+		const { integer, negative } = this._unpack(bits);
+		const exact = this._toDecimalString(integer, negative);
+
+		return {
+			bits,
+			encoding: this.encoding,
+			integer,
+			negative,
+			value: Number(exact),
+			exact
+		};
+	}
+
+	/**
+	 * Checks whether a number fits the encoding, once rounded, without raising any flag.
+	 *
+	 * @param {number|bigint|string} num
+	 * @param {string|boolean} [rounding="nearest-even"]
+	 * @return {boolean}
+	 * @memberof Integer
+	 */
+	fits(num, rounding = FloatClass.RoundingMode.NEAREST_EVEN) {
+		// Rounding raises the inexact flag, so the flags are restored afterwards
+		const [flags, lastFlags] = [this.flags, this.lastFlags];
+		[this.flags, this.lastFlags] = [{ ...flags }, { ...lastFlags }];
+
+		let integer;
+		try {
+			integer = this._round(this._toRational(num), this._roundingMode(rounding));
+		} finally {
+			[this.flags, this.lastFlags] = [flags, lastFlags];
+		}
+
+		return integer >= this.min && integer <= this.max;
+	}
+
+	/**
+	 * Calculates the limits of the encoding.
+	 *
+	 * @return {IntegerProperties}
+	 * @memberof Integer
+	 */
+	properties() {
+		const describe = (integer) => {
+			const bits = this._pack(integer, false, false);
+			const exact = this._toDecimalString(integer, integer < 0n);
+
+			return { bits, value: Number(exact), exact };
+		};
+
+		// One's complement and sign-magnitude have two zeros
+		const total = 1n << BigInt(this.totalBits);
+		const twoZeros = [Integer.Encoding.ONES_COMPLEMENT, Integer.Encoding.SIGN_MAGNITUDE].includes(this.encoding);
+
+		return {
+			totalBits: this.totalBits,
+			encoding: this.encoding,
+			bias: this.bias,
+			fraction: this.fraction,
+			min: describe(this.min),
+			max: describe(this.max),
+			resolution: {
+				value: Math.pow(2, -this.fraction),
+				exact: this._toDecimalString(1n, false)
+			},
+			count: {
+				total,
+				distinct: twoZeros ? total - 1n : total
+			}
+		};
+	}
+
+	/**
+	 * Adds two numbers of this encoding.
+	 *
+	 * @param {string} a
+	 * @param {string} b
+	 * @return {IntegerResult}
+	 * @memberof Integer
+	 */
+	add(a, b) {
+		return this._arithmetic(a, b, (x, y) => x + y);
+	}
+
+	/**
+	 * Subtracts two numbers of this encoding.
+	 *
+	 * @param {string} a
+	 * @param {string} b
+	 * @return {IntegerResult}
+	 * @memberof Integer
+	 */
+	sub(a, b) {
+		return this._arithmetic(a, b, (x, y) => x - y);
+	}
+
+	/**
+	 * Converts a number of this encoding into a float format, rounding it if needed.
+	 *
+	 * @param {string} bits
+	 * @param {Float|string} format A `Float` or the name of one of {@link Float.Formats}.
+	 * @param {string|boolean} [rounding="nearest-even"]
+	 * @return {FloatConversion}
+	 * @memberof Integer
+	 */
+	toFloat(bits, format, rounding = FloatClass.RoundingMode.NEAREST_EVEN) {
+		const float = format instanceof FloatClass ? format : FloatClass.preset(format);
+		const { exact } = this.decode(bits);
+
+		const result = float.toBinary(exact, rounding);
+		const flags = { ...float.lastFlags };
+
+		return { bits: result, value: float.toDecimal(result), flags };
+	}
+
+	/**
+	 * Converts a float into this encoding, rounding it if needed. NaN cannot be converted and infinities always overflow 
+	 * (saturating, as they cannot wrap around).
+	 *
+	 * @param {string} bits
+	 * @param {Float|string} format A `Float` or the name of one of {@link Float.Formats}.
+	 * @param {string|boolean} [rounding="nearest-even"]
+	 * @return {IntegerResult}
+	 * @memberof Integer
+	 */
+	fromFloat(bits, format, rounding = FloatClass.RoundingMode.NEAREST_EVEN) {
+		const float = format instanceof FloatClass ? format : FloatClass.preset(format);
+		const exact = float.toDecimal(bits, { exact: true });
+
+		if (exact === "NaN") throw new Error("NaN cannot be represented by an integer.");
+
+		let result;
+		if (/Infinity/.test(exact)) {
+			if (this.overflow === Integer.Overflow.WRAP) throw new Error("Infinity cannot wrap around.");
+
+			this._resetFlags();
+			result = this._pack(exact[0] === "-" ? this.min - 1n : this.max + 1n, false);
+		} else {
+			result = this.encode(exact, rounding);
+		}
+
+		return { bits: result, value: this.decode(result).value, flags: { ...this.lastFlags } };
+	}
+
+	/**
+	 * Converts a number between two integer or fixed-point encodings.
+	 *
+	 * @static
+	 * @param {string} bits
+	 * @param {Integer} from
+	 * @param {Integer} to
+	 * @param {string|boolean} [rounding="nearest-even"]
+	 * @return {IntegerResult}
+	 * @memberof Integer
+	 */
+	static convert(bits, from, to, rounding = FloatClass.RoundingMode.NEAREST_EVEN) {
+		const result = to.encode(from.decode(bits).exact, rounding);
+
+		return { bits: result, value: to.decode(result).value, flags: { ...to.lastFlags } };
+	}
+
+	/* Private methods */
+
+	_noFlags() {
+		return { overflow: false, inexact: false };
+	}
+
+	_resetFlags() {
+		this.lastFlags = this._noFlags();
+	}
+
+	_raise(flag) {
+		this.lastFlags[flag] = true;
+		this.flags[flag] = true;
+	}
+
+	_roundingMode(rounding) {
+		if (rounding === true) return FloatClass.RoundingMode.NEAREST_EVEN;
+		if (rounding === false) return FloatClass.RoundingMode.TOWARD_ZERO;
+		if (Object.values(FloatClass.RoundingMode).includes(rounding)) return rounding;
+
+		throw new Error(`Unknown rounding mode: ${rounding}`);
+	}
+
+	_validate(bits) {
+		if (typeof bits !== "string" || bits.length !== this.totalBits || !/^[01]+$/.test(bits)) {
+			throw new Error(`Not a valid ${this.totalBits}-bit ${this.encoding} number: ${bits}`);
+		}
+	}
+
+	_arithmetic(a, b, operation) {
+		this._validate(a);
+		this._validate(b);
+		this._resetFlags();
+
+		// Both numbers have the same scale, so the result is exact until it overflows
+		const result = operation(this._unpack(a).integer, this._unpack(b).integer);
+		const bits = this._pack(result, false);
+
+		return { bits, value: this.decode(bits).value, flags: { ...this.lastFlags } };
+	}
+
+	_toRational(num) {
+		if (typeof num === "bigint") return { negative: num < 0n, num: num < 0n ? -num : num, den: 1n };
+
+		if (typeof num === "number") {
+			if (!isFinite(num)) throw new Error(`Not a finite number: ${num}`);
+
+			// Read the Number exactly, from it's own binary64 bits
+			const double = FloatClass.preset("double");
+			return this._toRational(double.toDecimal(double.toBinary(num), { exact: true }));
+		}
+
+		const match = /^\s*([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?\s*$/i.exec(String(num));
+		if (!match || match[2] + (match[3] ?? "") === "") throw new Error(`Not a decimal number: ${num}`);
+
+		const [, sign, int, dec = "", exp = "0"] = match;
+		const e = Number(exp) - dec.length;
+
+		return {
+			negative: sign === "-",
+			num: BigInt(int + dec) * (e > 0 ? 10n ** BigInt(e) : 1n),
+			den: e < 0 ? 10n ** BigInt(-e) : 1n
+		};
+	}
+
+	_round({ negative, num, den }, mode) {
+		// Scale the number by 2^f and round it to an integer
+		const scaled = num << BigInt(this.fraction);
+		const q = scaled / den;
+		const r = scaled % den;
+
+		let up;
+		switch (mode) {
+			case FloatClass.RoundingMode.NEAREST_EVEN: {
+				up = 2n * r > den || (2n * r === den && q % 2n === 1n);
+				break;
+			}
+			case FloatClass.RoundingMode.NEAREST_AWAY: {
+				up = 2n * r >= den;
+				break;
+			}
+			case FloatClass.RoundingMode.TOWARD_ZERO: {
+				up = false;
+				break;
+			}
+			case FloatClass.RoundingMode.TOWARD_POSITIVE: {
+				up = !negative && r > 0n;
+				break;
+			}
+			case FloatClass.RoundingMode.TOWARD_NEGATIVE: {
+				up = negative && r > 0n;
+				break;
+			}
+		}
+
+		if (r > 0n) this._raise(FloatClass.Flag.INEXACT);
+
+		const magnitude = up ? q + 1n : q;
+		return negative ? -magnitude : magnitude;
+	}
+
+	_pack(integer, negativeZero, checked = true) {
+		const n = BigInt(this.totalBits);
+		const half = 1n << (n - 1n);
+
+		if (checked && (integer < this.min || integer > this.max)) {
+			this._raise(FloatClass.Flag.OVERFLOW);
+
+			switch (this.overflow) {
+				case Integer.Overflow.ERROR: {
+					throw new Error(`The number overflows the ${this.totalBits}-bit ${this.encoding} range (${this.min} through ${this.max}, `
+						+ `before the fixed-point scaling).`);
+				}
+				case Integer.Overflow.SATURATE: {
+					integer = integer < this.min ? this.min : this.max;
+					break;
+				}
+				case Integer.Overflow.WRAP: {
+					integer = this._wrap(integer);
+					break;
+				}
+			}
+		}
+
+		let code;
+		switch (this.encoding) {
+			case Integer.Encoding.UNSIGNED: {
+				code = integer;
+				break;
+			}
+			case Integer.Encoding.TWOS_COMPLEMENT: {
+				code = integer < 0n ? (1n << n) + integer : integer;
+				break;
+			}
+			case Integer.Encoding.ONES_COMPLEMENT: {
+				code = integer < 0n || negativeZero ? (1n << n) - 1n + integer : integer;
+				break;
+			}
+			case Integer.Encoding.SIGN_MAGNITUDE: {
+				code = integer < 0n || negativeZero ? half - integer : integer;
+				break;
+			}
+			case Integer.Encoding.EXCESS_K: {
+				code = integer + BigInt(this.bias);
+				break;
+			}
+		}
+
+		return code.toString(2).padStart(this.totalBits, "0");
+	}
+
+	_wrap(integer) {
+		const n = BigInt(this.totalBits);
+		const mod = (a, m) => ((a % m) + m) % m;
+
+		switch (this.encoding) {
+			case Integer.Encoding.ONES_COMPLEMENT: {
+				// The carry out of the last bit is added back (end-around carry), so it wraps modulo 2^n - 1
+				const m = (1n << n) - 1n;
+				const wrapped = mod(integer - this.min, m) + this.min;
+
+				return wrapped;
+			}
+			case Integer.Encoding.SIGN_MAGNITUDE: {
+				const magnitude = (integer < 0n ? -integer : integer) % (1n << (n - 1n));
+				return integer < 0n ? -magnitude : magnitude;
+			}
+			default: return mod(integer - this.min, 1n << n) + this.min;
+		}
+	}
+
+	_unpack(bits) {
+		const n = BigInt(this.totalBits);
+		const code = BigInt(`0b${bits}`);
+		const signed = bits[0] === "1";
+
+		let integer;
+		switch (this.encoding) {
+			case Integer.Encoding.UNSIGNED: {
+				integer = code;
+				break;
+			}
+			case Integer.Encoding.TWOS_COMPLEMENT: {
+				integer = signed ? code - (1n << n) : code;
+				break;
+			}
+			case Integer.Encoding.ONES_COMPLEMENT: {
+				integer = signed ? code - ((1n << n) - 1n) : code;
+				break;
+			}
+			case Integer.Encoding.SIGN_MAGNITUDE: {
+				const magnitude = code & ((1n << (n - 1n)) - 1n);
+				integer = signed ? -magnitude : magnitude;
+				break;
+			}
+			case Integer.Encoding.EXCESS_K: {
+				integer = code - BigInt(this.bias);
+				break;
+			}
+		}
+
+		// -0 of one's complement and sign-magnitude
+		const negativeZero = integer === 0n && signed && [Integer.Encoding.ONES_COMPLEMENT, Integer.Encoding.SIGN_MAGNITUDE].includes(this.encoding);
+
+		return { integer, negative: integer < 0n || negativeZero };
+	}
+
+	_toDecimalString(integer, negative) {
+		// integer / 2^f = (integer * 5^f) / 10^f
+		const magnitude = (integer < 0n ? -integer : integer) * 5n ** BigInt(this.fraction);
+		const digits = magnitude.toString().padStart(this.fraction + 1, "0");
+
+		const int = digits.substring(0, digits.length - this.fraction);
+		const dec = digits.substring(digits.length - this.fraction).replace(/0+$/, "");
+
+		return `${negative ? "-" : ""}${int}${dec.length > 0 ? `.${dec}` : ""}`;
+	}
+}
+
+// Allows the class to be required from Node.js, while still being pasteable into a browser console.
+if (typeof module !== "undefined" && module.exports) module.exports = Integer;
+
+/**
+ * @typedef {Object} IntegerOptions
+ * @property {number} [bias] The bias K of excess-K, a non-negative integer. Defaults to 2^(n-1) - 1, where n is the number of bits, like the exponent of a float.
+ * @property {number} [fraction=0] The number of fraction bits of a fixed-point number.
+ * @property {"error"|"wrap"|"saturate"} [overflow="error"] What to do with numbers that do not fit (see {@link Integer.Overflow}).
+ */
+
+/**
+ * @typedef {Object} IntegerDecoding
+ * @property {string} bits
+ * @property {string} encoding
+ * @property {bigint} integer The encoded integer, before the fixed-point scaling.
+ * @property {boolean} negative Whether the number is negative, including -0.
+ * @property {number} value
+ * @property {string} exact The exact decimal value.
+ */
+
+/**
+ * @typedef {Object} IntegerProperties
+ * @property {number} totalBits
+ * @property {string} encoding
+ * @property {number} bias The bias K (0 if the encoding is not excess-K).
+ * @property {number} fraction
+ * @property {{ bits: string, value: number, exact: string }} min
+ * @property {{ bits: string, value: number, exact: string }} max
+ * @property {{ value: number, exact: string }} resolution The distance between two consecutive numbers (2^-f).
+ * @property {{ total: bigint, distinct: bigint }} count The number of bit patterns and of distinct values (-0 and +0 count once).
+ */
+
+/**
+ * @typedef {Object} IntegerResult
+ * @property {string} bits
+ * @property {number} value
+ * @property {IntegerFlags} flags
+ */
+
+/**
+ * @typedef {Object} FloatConversion
+ * @property {string} bits The bits of the float.
+ * @property {number} value
+ * @property {Flags} flags The IEEE-754 exception flags raised by the conversion.
+ */
+
+/**
+ * @typedef {Object} IntegerFlags
+ * @property {boolean} overflow The number did not fit the encoding.
+ * @property {boolean} inexact The number was rounded.
+ */
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * Builds the userscript (for Tampermonkey, Violentmonkey, Greasemonkey, ...) and the bookmarklet of the schedule panel
+ * (schedule-panel.js). Both bundle schedule.js and schedule-panel.js, and open the panel on the Course Schedule page.
+ *
+ * Example of usage:
+ * ```
+ * node build-userscript.js            # Writes schedule.user.js and schedule-bookmarklet.txt to the current directory
+ * node build-userscript.js --out dist
+ * ```
+ *
+ * The userscript is installed by opening it on the browser (with the extension installed), and the bookmarklet by creating
+ * a bookmark with the contents of schedule-bookmarklet.txt as it's address.
+ *
+ * @summary Builds the userscript and bookmarklet of the schedule panel.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SOURCES = ["schedule.js", "schedule-panel.js"];
+
+const USAGE = `Usage:
+  build-userscript [--out <directory>]
+
+Options:
+  --out <directory>  Where to write schedule.user.js and schedule-bookmarklet.txt (default: the current directory).
+  -h, --help         Print this message.`;
+
+/**
+ * @param {string} version
+ * @returns {string}
+ */
+function metadata(version) {
+	return [
+		"// ==UserScript==",
+		"// @name         UMinho Schedule",
+		"// @namespace    schedule.js",
+		`// @version      ${version}`,
+		"// @description  Creates a student's schedule from the UMinho Course Schedule, given it's turns.",
+		"// @match        https://alunos.uminho.pt/*/estudantes/Paginas/InfoUteisHorarios.aspx*",
+		"// @grant        none",
+		"// @run-at       document-idle",
+		"// ==/UserScript==",
+		""
+	].join("\n");
+}
+
+/**
+ * Wraps the sources in a function, so their names don't leak into the page, and opens the panel.
+ *
+ * @param {string[]} sources
+ * @returns {string}
+ */
+function bundle(sources) {
+	return `(function () {\n${sources.join("\n")}\nmountSchedulePanel();\n})();\n`;
+}
+
+/**
+ * Removes the comments, the blank lines and the indentation, to shorten the bookmarklet. The source is read token by token
+ * (strings, templates, regular expressions and comments), so the contents of the strings and templates are kept as they are,
+ * even if they look like comments or have lines that start with whitespace.
+ *
+ * @param {string} source
+ * @returns {string}
+ */
+function stripComments(source) {
+	let output = "";
+	let lineStart = true; // Whether only indentation was read on the current line (of the code, not of a string)
+	let last = ""; // The last character of code (not whitespace), which tells a regular expression from a division
+	const braces = [0]; // For each template that is open, how many braces are open inside of it's ${} (the first is the code)
+
+	for (let i = 0; i < source.length; ) {
+		const c = source[i];
+
+		// Line breaks and indentation
+		if (c === "\n" || c === "\r") {
+			if (!lineStart) output = output.trimEnd() + "\n";
+			lineStart = true;
+			i++;
+			continue;
+		}
+		if (c === " " || c === "\t") {
+			if (!lineStart) output += c;
+			i++;
+			continue;
+		}
+
+		// Comments (a block comment becomes a space or a line break, so the tokens around it stay apart)
+		if (source.startsWith("//", i)) {
+			while (i < source.length && source[i] !== "\n") i++;
+			continue;
+		}
+		if (source.startsWith("/*", i)) {
+			const end = source.indexOf("*/", i + 2);
+			if (end === -1) throw new Error(`Unterminated comment at position ${i}`);
+			if (!lineStart) output = output.trimEnd() + (source.substring(i, end).includes("\n") ? "\n" : " ");
+			lineStart = lineStart || output.endsWith("\n");
+			i = end + 2;
+			continue;
+		}
+
+		lineStart = false;
+		let token = c;
+
+		if (c === "\"" || c === "'" || (c === "/" && startsRegExp(last, output)) || c === "`" || (c === "}" && braces.length > 1 && braces[braces.length - 1] === 0)) {
+			// Strings, regular expressions and the literal parts of the templates (from the "`" or the "}" that closes a ${})
+			const end = skipLiteral(source, i, c);
+			token = source.substring(i, end);
+
+			if (c === "}") braces.pop();
+			if (token.endsWith("${")) braces.push(0);
+		} else if (c === "{") {
+			braces[braces.length - 1]++;
+		} else if (c === "}") {
+			braces[braces.length - 1]--;
+		}
+
+		output += token;
+		i += token.length;
+		last = token[token.length - 1];
+	}
+
+	return output.trimEnd();
+}
+
+/**
+ * Finds the end of the literal that starts at the given position: a string, a regular expression or the part of a template
+ * up to it's end or to the next ${ (for a template, the literal starts at it's "`" or at the "}" that closes a ${}).
+ *
+ * @param {string} source
+ * @param {number} start
+ * @param {string} kind The character that starts the literal.
+ * @returns {number} The position after the literal.
+ */
+function skipLiteral(source, start, kind) {
+	const close = (kind === "}") ? "`" : kind;
+	let inClass = false; // Inside [] in a regular expression, where a "/" doesn't end it
+
+	for (let i = start + 1; i < source.length; i++) {
+		const c = source[i];
+
+		if (c === "\\") i++;
+		else if (close === "`" && source.startsWith("${", i)) return i + 2;
+		else if (kind === "/" && c === "[") inClass = true;
+		else if (kind === "/" && c === "]") inClass = false;
+		else if (c === close && !inClass) {
+			if (kind !== "/") return i + 1;
+
+			// The flags of the regular expression
+			let end = i + 1;
+			while (/\w/.test(source[end] ?? "")) end++;
+			return end;
+		}
+		else if (c === "\n" && close !== "`") break;
+	}
+
+	throw new Error(`Unterminated ${kind === "/" ? "regular expression" : (close === "`") ? "template" : "string"} at position ${start}`);
+}
+
+/**
+ * Whether a "/" starts a regular expression (rather than being a division), from the code before it: after an operator, a
+ * punctuator or a keyword like return, there's a value to read, not an operand to divide.
+ *
+ * @param {string} last The last character of code before the "/".
+ * @param {string} output The code before the "/".
+ * @returns {boolean}
+ */
+function startsRegExp(last, output) {
+	if (last === "" || "(,=:[!&|?{};+-*%<>~^".includes(last)) return true;
+	return /(?:^|[^\w$])(?:return|typeof|case|do|else|in|of|new|delete|void|throw|yield|await)\s*$/.test(output);
+}
+
+/**
+ * Encodes the source as a `javascript:` URL. Only what the browsers would otherwise change is encoded (with
+ * encodeURIComponent): `%` (which they decode), `#` (the start of the fragment), the line breaks (which they remove, breaking
+ * the statements without a semicolon) and the other characters that aren't printable ASCII, like the accents of the labels.
+ * The rest is kept as is, as it's several times shorter than encoding all of it.
+ *
+ * @param {string} source
+ * @returns {string}
+ */
+function toBookmarklet(source) {
+	return "javascript:" + source.replace(/[^\x20-\x7E]|[%#]/gu, encodeURIComponent);
+}
+
+/**
+ * The largest bookmark address that all the browsers keep (Chrome and Firefox, at least).
+ */
+const BOOKMARKLET_LIMIT = 64 * 1024;
+
+function main(argv) {
+	let out = ".";
+	for (let i = 0; i < argv.length; i++) {
+		if (argv[i] === "-h" || argv[i] === "--help") return console.log(USAGE);
+		if (argv[i] !== "--out") throw new Error(`Unknown option: ${argv[i]}\n\n${USAGE}`);
+		if (i + 1 >= argv.length) throw new Error("Missing value for --out");
+
+		out = argv[++i];
+	}
+
+	const sources = SOURCES.map(file => fs.readFileSync(path.join(__dirname, file), "utf8"));
+	const version = new Date().toISOString().substring(0, 10).replace(/-/g, ".");
+
+	const userscript = metadata(version) + bundle(sources);
+	const bookmarklet = toBookmarklet(bundle(sources.map(stripComments)));
+
+	fs.mkdirSync(out, { recursive: true });
+	fs.writeFileSync(path.join(out, "schedule.user.js"), userscript);
+	fs.writeFileSync(path.join(out, "schedule-bookmarklet.txt"), bookmarklet);
+
+	console.log(`${path.join(out, "schedule.user.js")} (${userscript.length} characters)`);
+	console.log(`${path.join(out, "schedule-bookmarklet.txt")} (${bookmarklet.length} characters)`);
+	if (bookmarklet.length > BOOKMARKLET_LIMIT) {
+		console.warn(`Warning: the bookmarklet is longer than ${BOOKMARKLET_LIMIT} characters, so some browsers may not keep it.`);
+	}
+}
+
+try {
+	main(process.argv.slice(2));
+} catch (e) {
+	console.error(`Error: ${e.message}`);
+	process.exitCode = 1;
+}
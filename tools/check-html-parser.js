@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Checks html-parser.js against small pages, on the cases where the browsers don't parse HTML literally: the end tags they
+ * imply (and the `<tbody>` of the rows written directly inside a table), the entities, the attributes without quotes, the
+ * comments and the contents of `<script>` and `<style>`.
+ *
+ * Example of usage:
+ * ```
+ * node check-html-parser.js  # Prints the checks that fail, and fails if any
+ * ```
+ *
+ * @summary Checks html-parser.js against small pages.
+ */
+
+const { parseHTML } = require("./html-parser.js");
+
+/**
+ * The page of each check, what is read from it, and what the browsers read.
+ */
+const CHECKS = [
+	{
+		name: "implied tbody",
+		html: "<table><tr><td>1</td></tr></table>",
+		read: (d) => d.querySelectorAll("table > tbody > tr > td").length,
+		expected: 1
+	},
+	{
+		name: "implied tbody after a thead",
+		html: "<table><thead><tr><th>a</th></tr></thead><tr><td>1</td></tr></table>",
+		read: (d) => [d.querySelectorAll("thead > tr").length, d.querySelectorAll("tbody > tr").length],
+		expected: [1, 1]
+	},
+	{
+		name: "explicit tbody",
+		html: "<table><tbody><tr><td>1</td></tr></tbody></table>",
+		read: (d) => d.querySelectorAll("tbody").length,
+		expected: 1
+	},
+	{
+		name: "unclosed td and tr",
+		html: "<table><tr><td>1<td>2<tr><th>3<td>4</table><p>after",
+		read: (d) => Array.from(d.querySelectorAll("tr")).map(tr => Array.from(tr.children).map(c => c.textContent)),
+		expected: [["1", "2"], ["3", "4"]]
+	},
+	{
+		name: "unclosed td of a nested table",
+		html: "<table><tr><td><table><tr><td>in</table><td>out</table>",
+		read: (d) => [d.querySelectorAll("tbody").length, Array.from(d.querySelectorAll("table > tbody > tr > td")).map(td => td.textContent)],
+		expected: [2, ["in", "in", "out"]]
+	},
+	{
+		name: "unclosed li and p",
+		html: "<ul><li>a<li>b</ul><p>1<p>2",
+		read: (d) => [d.querySelectorAll("ul > li").length, d.querySelectorAll("p").length],
+		expected: [2, 2]
+	},
+	{
+		name: "entities",
+		html: "<p>a &amp; b &lt;c&gt; &quot;d&quot; &#39;e&#39; &#x41;&nbsp;| Hor&aacute;rio &ccedil;&atilde;o &ndash; &copy; &unknown;</p>",
+		read: (d) => d.querySelector("p").textContent,
+		expected: "a & b <c> \"d\" 'e' A | Horário ção – © &unknown;"
+	},
+	{
+		name: "entities in attributes",
+		html: "<a title=\"Sistemas de Computa&ccedil;&atilde;o &amp; Redes\">x</a>",
+		read: (d) => d.querySelector("a").getAttribute("title"),
+		expected: "Sistemas de Computação & Redes"
+	},
+	{
+		name: "attributes without quotes",
+		html: "<div class=rsApt id=a1 data-turn=TP3 title='x > y' hidden>z</div>",
+		read: (d) => {
+			const div = d.querySelector("div");
+			return [div.getAttribute("class"), div.getAttribute("id"), div.getAttribute("data-turn"), div.getAttribute("title"), div.getAttribute("hidden"), d.querySelectorAll("div#a1.rsApt[data-turn]").length];
+		},
+		expected: ["rsApt", "a1", "TP3", "x > y", "", 1]
+	},
+	{
+		name: "comments",
+		html: "<div><!-- <table><tr><td>x</td></tr></table> -->y<!--z--></div>",
+		read: (d) => [d.querySelectorAll("table").length, d.querySelector("div").textContent],
+		expected: [0, "y"]
+	},
+	{
+		name: "script and style contents",
+		html: "<script>if (a < b && c > \"<table>\") {}</script><style>td > p { color: red }</style><table><tr><td>1</table>",
+		read: (d) => [d.querySelectorAll("table").length, d.querySelector("script").textContent, d.querySelector("style").textContent],
+		expected: [1, "if (a < b && c > \"<table>\") {}", "td > p { color: red }"]
+	},
+	{
+		name: "void and self-closing elements",
+		html: "<p>a<br>b<img src=x.png/><span>c</span></p>",
+		read: (d) => [d.querySelector("p").children.length, d.querySelector("p").textContent],
+		expected: [3, "abc"]
+	},
+	{
+		name: "inline style",
+		html: "<div style='height: 60px;width:100%'>x</div>",
+		read: (d) => d.querySelector("div").style.height,
+		expected: "60px"
+	}
+];
+
+function main() {
+	let failures = 0;
+	for (const { name, html, read, expected } of CHECKS) {
+		let actual;
+		try {
+			actual = read(parseHTML(html));
+		} catch (e) {
+			actual = `${e.name}: ${e.message}`;
+		}
+
+		if (JSON.stringify(actual) === JSON.stringify(expected)) {
+			console.log(`ok      ${name}`);
+		} else {
+			failures++;
+			console.log(`FAILED  ${name}:\n  expected: ${JSON.stringify(expected)}\n  actual:   ${JSON.stringify(actual)}`);
+		}
+	}
+
+	if (failures > 0) throw new Error(`${failures} of ${CHECKS.length} checks failed.`);
+}
+
+try {
+	main();
+} catch (e) {
+	console.error(`Error: ${e.message}`);
+	process.exitCode = 1;
+}
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Checks schedule-cli.js (and html-parser.js, which it uses) against a saved copy of the Course Schedule page, on the
+ * fixtures directory: each case runs the command line and compares it's output with the expected file.
+ *
+ * Example of usage:
+ * ```
+ * node check-schedule-cli.js           # Prints the cases that don't match, and fails if any
+ * node check-schedule-cli.js --update  # Regenerates the expected files (after an intended change to the output)
+ * ```
+ *
+ * The saved page has no tbody tags, like the pages saved by the browsers, so the parser has to imply them. The creation
+ * time of the iCalendar events (DTSTAMP) changes on every run, so it's left out of the comparison.
+ *
+ * @summary Checks schedule-cli.js against the saved pages of the fixtures directory.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const EXPECTED = path.join(FIXTURES, "expected");
+
+/**
+ * The arguments of each case (relative to the fixtures directory), and the file with it's expected output (on the expected
+ * directory).
+ */
+const CASES = [
+	{ expected: "horario.txt", args: ["horario.html", "--filter", "filter.json", "--abbr", "abbrs.json"] },
+	{ expected: "horario.ics", args: ["horario.html", "--filter", "filter.json", "--abbr", "abbrs.json", "--format", "ics", "--start", "2022-02-14", "--end", "2022-06-03", "--holiday", "2022-04-25"] },
+	{ expected: "horario.raw.json", args: ["horario.html", "--format", "raw"] },
+	{ expected: "horario.json", args: ["horario.html", "--filter", "filter.json", "--abbr", "abbrs.json", "--format", "json"] },
+	{ expected: "horario.en.md", args: ["horario.html", "--filter", "filter.json", "--abbr", "abbrs.json", "--format", "markdown", "--locale", "en"] },
+	{ expected: "horario.html", args: ["horario.html", "--filter", "filter.json", "--abbr", "abbrs.json", "--format", "html"] },
+	{ expected: "horario.svg", args: ["horario.html", "--filter", "filter.json", "--abbr", "abbrs.json", "--format", "svg"] },
+	{ expected: "solve.txt", args: ["horario.html", "--solve", "requirements.json", "--abbr", "abbrs.json"] },
+	{ expected: "swap.txt", args: ["horario.html", "--swap", "swap.csv", "--abbr", "abbrs.json"] },
+	{ expected: "group.free.txt", args: ["horario.html", "--free", "group.json", "--min", "60", "--from", "09:00", "--to", "19:00"] },
+	{ expected: "group.midnight.txt", args: ["horario.html", "--free", "group.json", "--to", "24:00"] },
+	{ expected: "diff.txt", args: ["horario.html", "--diff", "horario-old.json", "--filter", "filter.json"] }
+];
+
+const USAGE = `Usage:
+  check-schedule-cli [--update]
+
+Options:
+  --update    Write the output of each case to it's expected file, instead of comparing them.
+  -h, --help  Print this message.`;
+
+/**
+ * @param {string[]} args
+ * @returns {string} The standard output of schedule-cli.js, without the creation time of the iCalendar events.
+ */
+function run(args) {
+	const options = { cwd: FIXTURES, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] };
+	const cli = path.join(__dirname, "schedule-cli.js");
+
+	let output;
+	try {
+		output = execFileSync(process.execPath, [cli, ...args], options);
+	} catch (e) {
+		throw new Error(`schedule-cli.js ${args.join(" ")} failed:\n${(e.stderr || e.message).trim()}`);
+	}
+
+	return output.replace(/^DTSTAMP:.*$/gm, "DTSTAMP:<now>");
+}
+
+/**
+ * @param {string} expected
+ * @param {string} actual
+ * @returns {string|null} The first line that differs, or null if they're the same.
+ */
+function firstDifference(expected, actual) {
+	if (expected === actual) return null;
+
+	const [expectedLines, actualLines] = [expected.split("\n"), actual.split("\n")];
+	const line = expectedLines.findIndex((l, i) => l !== actualLines[i]);
+	const index = (line >= 0) ? line : expectedLines.length;
+
+	return `line ${index + 1}:\n  expected: ${JSON.stringify(expectedLines[index])}\n  actual:   ${JSON.stringify(actualLines[index])}`;
+}
+
+function main(argv) {
+	let update = false;
+	for (const arg of argv) {
+		if (arg === "-h" || arg === "--help") return console.log(USAGE);
+		if (arg !== "--update") throw new Error(`Unknown option: ${arg}\n\n${USAGE}`);
+
+		update = true;
+	}
+
+	let failures = 0;
+	for (const { expected, args } of CASES) {
+		const file = path.join(EXPECTED, expected);
+
+		let output;
+		try {
+			output = run(args);
+		} catch (e) {
+			failures++;
+			console.log(`FAILED  ${expected}, ${e.message}`);
+			continue;
+		}
+
+		if (update) {
+			fs.mkdirSync(EXPECTED, { recursive: true });
+			fs.writeFileSync(file, output);
+			console.log(`updated ${expected}`);
+			continue;
+		}
+
+		const difference = fs.existsSync(file) ? firstDifference(fs.readFileSync(file, "utf8"), output) : "missing (run with --update)";
+		if (difference === null) {
+			console.log(`ok      ${expected}`);
+		} else {
+			failures++;
+			console.log(`FAILED  ${expected}, ${difference}`);
+		}
+	}
+
+	if (failures > 0) throw new Error(`${failures} of ${CASES.length} cases failed.`);
+}
+
+try {
+	main(process.argv.slice(2));
+} catch (e) {
+	console.error(`Error: ${e.message}`);
+	process.exitCode = 1;
+}
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Checks the bookmarklet built by build-userscript.js: it has to fit the length that the browsers keep, be a valid script
+ * once decoded (as the browsers do, before running it) and keep the templates of the panel (it's style and markup) as they
+ * are on schedule-panel.js.
+ *
+ * Example of usage:
+ * ```
+ * node check-userscript.js  # Prints the checks that fail, and fails if any
+ * ```
+ *
+ * @summary Checks the bookmarklet built by build-userscript.js.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+/**
+ * The largest bookmark address that all the browsers keep (the same as on build-userscript.js).
+ */
+const BOOKMARKLET_LIMIT = 64 * 1024;
+
+/**
+ * The templates of schedule-panel.js that must be kept as they are, by the code that starts them.
+ */
+const TEMPLATES = ["const PANEL_STYLE = `", "shadow.innerHTML = `"];
+
+/**
+ * @returns {{ userscript: string, bookmarklet: string }} The files written by build-userscript.js (on a temporary directory).
+ */
+function build() {
+	const out = fs.mkdtempSync(path.join(os.tmpdir(), "schedule-userscript-"));
+
+	try {
+		execFileSync(process.execPath, [path.join(__dirname, "build-userscript.js"), "--out", out], { stdio: ["ignore", "pipe", "pipe"] });
+
+		return {
+			userscript: fs.readFileSync(path.join(out, "schedule.user.js"), "utf8"),
+			bookmarklet: fs.readFileSync(path.join(out, "schedule-bookmarklet.txt"), "utf8")
+		};
+	} catch (e) {
+		throw new Error(`build-userscript.js failed:\n${(e.stderr?.toString() || e.message).trim()}`);
+	} finally {
+		fs.rmSync(out, { recursive: true, force: true });
+	}
+}
+
+/**
+ * @param {string} source
+ * @param {string} start The code before the template, up to it's "`".
+ * @returns {string} The template (without ${}), with it's "`".
+ */
+function templateAfter(source, start) {
+	const index = source.indexOf(start);
+	if (index === -1) throw new Error(`Could not find ${JSON.stringify(start)} on schedule-panel.js.`);
+
+	const open = index + start.length - 1;
+	return source.substring(open, source.indexOf("`", open + 1) + 1);
+}
+
+function main() {
+	const { userscript, bookmarklet } = build();
+	const source = decodeURIComponent(bookmarklet.substring("javascript:".length));
+	const panel = fs.readFileSync(path.join(__dirname, "schedule-panel.js"), "utf8");
+
+	const checks = [
+		{ name: "userscript parses", check: () => new Function(userscript) },
+		{ name: "bookmarklet is a javascript: URL", check: () => bookmarklet.startsWith("javascript:") || "it starts with " + JSON.stringify(bookmarklet.substring(0, 20)) },
+		{ name: `bookmarklet fits ${BOOKMARKLET_LIMIT} characters`, check: () => bookmarklet.length <= BOOKMARKLET_LIMIT || `it has ${bookmarklet.length}` },
+		{ name: "bookmarklet is printable ASCII", check: () => !/[^\x20-\x7E]/.test(bookmarklet) || "it has other characters" },
+		{ name: "bookmarklet parses", check: () => new Function(source) },
+		...TEMPLATES.map(start => ({
+			name: `bookmarklet keeps ${start.replace(/ = `$/, "")}`,
+			check: () => source.includes(templateAfter(panel, start)) || "the template changed"
+		}))
+	];
+
+	let failures = 0;
+	for (const { name, check } of checks) {
+		let result;
+		try {
+			result = check();
+		} catch (e) {
+			result = e.message;
+		}
+
+		if (typeof result !== "string") {
+			console.log(`ok      ${name}`);
+		} else {
+			failures++;
+			console.log(`FAILED  ${name}, ${result}`);
+		}
+	}
+
+	if (failures > 0) throw new Error(`${failures} of ${checks.length} checks failed.`);
+}
+
+try {
+	main();
+} catch (e) {
+	console.error(`Error: ${e.message}`);
+	process.exitCode = 1;
+}
@@ -0,0 +1,420 @@
+/**
+ * A small HTML parser, so that the scripts written for the browser (like schedule.js) can read saved pages from Node.js.
+ *
+ * It builds a tree with the part of the DOM those scripts use: `querySelectorAll`/`querySelector` (type, class, id and
+ * attribute selectors, `:not()`, the descendant and child combinators and selector lists), `children`, `childNodes`,
+ * `parentNode`, `getAttribute`, `style`, `textContent` and `innerHTML`. Like the browsers, it closes the elements whose
+ * end tags are optional (e.g. `<td>`, `<tr>`, `<li>`, `<p>`), puts the rows written directly inside a `<table>` into a
+ * `<tbody>` and skips the contents of `<script>` and `<style>`.
+ *
+ * Example of usage:
+ * ```
+ * const { parseHTML } = require("./html-parser.js");
+ *
+ * const document = parseHTML("<table><tr><td class='a' title='x'>1<td>&nbsp;</table>");
+ * console.log(document.querySelectorAll("tbody > tr > td.a")[0].getAttribute("title")); // x
+ * console.log(document.querySelectorAll("td")[1].innerHTML);                    // &nbsp;
+ * ```
+ *
+ * @summary Minimal HTML parser with a DOM subset.
+ */
+
+const VOID_ELEMENTS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "param", "source", "track", "wbr"]);
+const RAW_TEXT_ELEMENTS = new Set(["script", "style", "textarea", "title"]);
+
+/**
+ * The elements closed by the start of another element, when their end tags are omitted.
+ */
+const IMPLIED_END = {
+	li: ["li"],
+	p: ["p"],
+	option: ["option"],
+	td: ["td", "th"],
+	th: ["td", "th"],
+	tr: ["td", "th", "tr"],
+	tbody: ["td", "th", "tr", "thead", "tbody", "tfoot"],
+	thead: ["td", "th", "tr", "thead", "tbody", "tfoot"],
+	tfoot: ["td", "th", "tr", "thead", "tbody", "tfoot"]
+};
+
+/**
+ * The elements that stop the search for an element to close (e.g. a `<td>` does not close the cell of an outer table).
+ */
+const SCOPE_ELEMENTS = new Set(["table", "html", "body"]);
+
+const ENTITIES = {
+	amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: "\u00A0",
+	copy: "©", reg: "®", deg: "°", ordf: "ª", ordm: "º", laquo: "«", raquo: "»", middot: "·",
+	ndash: "–", mdash: "—", hellip: "…", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", euro: "€"
+};
+
+// The accented letters (e.g. `&aacute;`, `&Atilde;`, `&ccedil;`), common on the Portuguese pages
+const ACCENTS = { grave: "\u0300", acute: "\u0301", circ: "\u0302", tilde: "\u0303", uml: "\u0308", cedil: "\u0327" };
+for (const letter of "aeiouycnAEIOUYCN") {
+	for (const [accent, mark] of Object.entries(ACCENTS)) {
+		const composed = (letter + mark).normalize("NFC");
+		if (composed.length === 1 && composed.charCodeAt(0) < 0x180) ENTITIES[letter + accent] = composed;
+	}
+}
+
+class Node {
+	constructor() {
+		/** @type {Element|null} */
+		this.parentNode = null;
+	}
+}
+
+class TextNode extends Node {
+	constructor(text) {
+		super();
+		this.nodeType = 3;
+		this.text = text;
+	}
+
+	get textContent() {
+		return this.text;
+	}
+}
+
+class Element extends Node {
+	constructor(tagName, attributes = {}) {
+		super();
+		this.nodeType = 1;
+		this.tagName = tagName.toUpperCase();
+		this.attributes = attributes;
+
+		/** @type {Node[]} */
+		this.childNodes = [];
+	}
+
+	/** @type {Element[]} */
+	get children() {
+		return this.childNodes.filter(n => n instanceof Element);
+	}
+
+	get textContent() {
+		return this.childNodes.map(n => n.textContent).join("");
+	}
+
+	get innerHTML() {
+		return this.childNodes.map(serialize).join("");
+	}
+
+	get className() {
+		return this.attributes.class ?? "";
+	}
+
+	get id() {
+		return this.attributes.id ?? "";
+	}
+
+	/** @type {Object.<string, string>} The declarations of the `style` attribute, in camelCase (e.g. `style.backgroundColor`). */
+	get style() {
+		const style = {};
+
+		for (const declaration of (this.attributes.style ?? "").split(";")) {
+			const colon = declaration.indexOf(":");
+			if (colon < 0) continue;
+
+			const property = declaration.substring(0, colon).trim().toLowerCase().replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+			style[property] = declaration.substring(colon + 1).trim();
+		}
+
+		return style;
+	}
+
+	getAttribute(name) {
+		return this.attributes[name.toLowerCase()] ?? null;
+	}
+
+	hasAttribute(name) {
+		return name.toLowerCase() in this.attributes;
+	}
+
+	/**
+	 * @param {string} selector
+	 * @returns {Element[]} The matching descendants, in document order.
+	 */
+	querySelectorAll(selector) {
+		const selectors = parseSelector(selector);
+		const result = [];
+
+		const visit = (element) => {
+			for (const child of element.children) {
+				if (selectors.some(s => matchesComplex(child, s))) result.push(child);
+				visit(child);
+			}
+		};
+
+		visit(this);
+		return result;
+	}
+
+	/**
+	 * @param {string} selector
+	 * @returns {Element|null}
+	 */
+	querySelector(selector) {
+		return this.querySelectorAll(selector)[0] ?? null;
+	}
+
+	/**
+	 * @param {string} selector
+	 * @returns {boolean}
+	 */
+	matches(selector) {
+		return parseSelector(selector).some(s => matchesComplex(this, s));
+	}
+}
+
+class Document extends Element {
+	constructor() {
+		super("#document");
+		this.nodeType = 9;
+	}
+
+	get documentElement() {
+		return this.children[0] ?? null;
+	}
+
+	get body() {
+		return this.querySelector("body");
+	}
+}
+
+/**
+ * Parses an HTML document.
+ *
+ * @param {string} html
+ * @returns {Document}
+ */
+function parseHTML(html) {
+	const document = new Document();
+	const stack = [document];
+	const current = () => stack[stack.length - 1];
+
+	const append = (node) => {
+		node.parentNode = current();
+		current().childNodes.push(node);
+	};
+
+	const close = (tagName, stopAtScope) => {
+		for (let i = stack.length - 1; i > 0; i--) {
+			if (stack[i].tagName === tagName) {
+				stack.length = i;
+				return true;
+			}
+
+			if (stopAtScope && SCOPE_ELEMENTS.has(stack[i].tagName.toLowerCase())) return false;
+		}
+
+		return false;
+	};
+
+	const tagPattern = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<\/([a-zA-Z][\w:-]*)[^>]*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+	let index = 0, match;
+
+	while ((match = tagPattern.exec(html)) !== null) {
+		if (match.index > index) append(new TextNode(decodeEntities(html.substring(index, match.index))));
+		index = tagPattern.lastIndex;
+
+		const [, endTag, startTag, attributes, selfClosing] = match;
+
+		if (endTag) {
+			close(endTag.toUpperCase(), ["td", "th", "tr", "tbody", "thead", "tfoot"].includes(endTag.toLowerCase()));
+			continue;
+		}
+
+		if (!startTag) continue; // Comments, doctypes and processing instructions
+
+		const tagName = startTag.toLowerCase();
+		for (const implied of IMPLIED_END[tagName] ?? []) {
+			// Only the innermost open element of the same kind is closed, and never across a table
+			const open = stack.slice(1).reverse().find(e => e.tagName === implied.toUpperCase() || SCOPE_ELEMENTS.has(e.tagName.toLowerCase()));
+			if (open && open.tagName === implied.toUpperCase()) close(open.tagName, true);
+		}
+
+		// Like the browsers, the rows written directly inside a table go into an implied tbody
+		if (tagName === "tr" && current().tagName === "TABLE") {
+			const tbody = new Element("tbody");
+			append(tbody);
+			stack.push(tbody);
+		}
+
+		const element = new Element(tagName, parseAttributes(attributes));
+		append(element);
+
+		if (RAW_TEXT_ELEMENTS.has(tagName)) {
+			const end = html.toLowerCase().indexOf(`</${tagName}`, index);
+			const text = html.substring(index, end < 0 ? html.length : end);
+			if (text.length > 0) {
+				const node = new TextNode(tagName === "script" || tagName === "style" ? text : decodeEntities(text));
+				node.parentNode = element;
+				element.childNodes.push(node);
+			}
+
+			index = end < 0 ? html.length : html.indexOf(">", end) + 1;
+			tagPattern.lastIndex = index;
+			continue;
+		}
+
+		if (!VOID_ELEMENTS.has(tagName) && !selfClosing) stack.push(element);
+	}
+
+	if (index < html.length) append(new TextNode(decodeEntities(html.substring(index))));
+
+	return document;
+}
+
+function parseAttributes(source) {
+	const attributes = {};
+	const pattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+	let match;
+	while ((match = pattern.exec(source)) !== null) {
+		const name = match[1].toLowerCase();
+		if (!(name in attributes)) attributes[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? "");
+	}
+
+	return attributes;
+}
+
+function decodeEntities(text) {
+	return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+		if (name[0] === "#") {
+			const code = name[1].toLowerCase() === "x" ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+			return String.fromCodePoint(code);
+		}
+
+		return ENTITIES[name] ?? ENTITIES[name.toLowerCase()] ?? entity;
+	});
+}
+
+function serialize(node) {
+	if (node instanceof TextNode) {
+		return node.text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/\u00A0/g, "&nbsp;");
+	}
+
+	const tagName = node.tagName.toLowerCase();
+	const attributes = Object.entries(node.attributes).map(([k, v]) => ` ${k}="${v.replace(/&/g, "&amp;").replace(/"/g, "&quot;")}"`).join("");
+	if (VOID_ELEMENTS.has(tagName)) return `<${tagName}${attributes}>`;
+
+	return `<${tagName}${attributes}>${node.innerHTML}</${tagName}>`;
+}
+
+/* Selectors */
+
+/**
+ * Parses a selector list into complex selectors: arrays of compound selectors, each with the combinator that links it to
+ * the previous one.
+ *
+ * @param {string} selector
+ * @returns {{ combinator: string, compound: Object }[][]}
+ */
+function parseSelector(selector) {
+	return splitTopLevel(selector, ",").map(complex => {
+		const parts = [];
+		const tokens = complex.trim().replace(/\s*>\s*/g, " > ").split(/\s+/);
+
+		let combinator = " ";
+		for (const token of tokens) {
+			if (token === ">") {
+				combinator = ">";
+				continue;
+			}
+
+			parts.push({ combinator, compound: parseCompound(token) });
+			combinator = " ";
+		}
+
+		if (parts.length === 0) throw new Error(`Invalid selector: "${selector}"`);
+		return parts;
+	});
+}
+
+function parseCompound(token) {
+	const compound = { tag: null, ids: [], classes: [], attributes: [], not: [] };
+	const pattern = /^\*|^[a-zA-Z][\w-]*|#[\w-]+|\.[\w-]+|\[([\w-]+)(?:([~^$*|]?=)["']?([^\]"']*)["']?)?\]|:not\(([^)]*)\)/g;
+
+	let match, consumed = 0;
+	while ((match = pattern.exec(token)) !== null) {
+		if (match.index !== consumed) break;
+		consumed = pattern.lastIndex;
+
+		const [text, attribute, operator, value, not] = match;
+		if (text === "*") continue;
+		else if (text[0] === "#") compound.ids.push(text.substring(1));
+		else if (text[0] === ".") compound.classes.push(text.substring(1));
+		else if (text[0] === "[") compound.attributes.push({ name: attribute.toLowerCase(), operator, value });
+		else if (text[0] === ":") compound.not.push(...splitTopLevel(not, ",").map(s => parseCompound(s.trim())));
+		else compound.tag = text.toUpperCase();
+	}
+
+	if (consumed !== token.length) throw new Error(`Unsupported selector: "${token}"`);
+	return compound;
+}
+
+function splitTopLevel(text, separator) {
+	const parts = [];
+	let depth = 0, start = 0;
+
+	for (let i = 0; i < text.length; i++) {
+		if (text[i] === "(" || text[i] === "[") depth++;
+		else if (text[i] === ")" || text[i] === "]") depth--;
+		else if (text[i] === separator && depth === 0) {
+			parts.push(text.substring(start, i));
+			start = i + 1;
+		}
+	}
+
+	parts.push(text.substring(start));
+	return parts;
+}
+
+function matchesCompound(element, compound) {
+	if (compound.tag && element.tagName !== compound.tag) return false;
+	if (compound.ids.some(id => element.id !== id)) return false;
+
+	const classes = element.className.split(/\s+/);
+	if (compound.classes.some(c => !classes.includes(c))) return false;
+
+	for (const { name, operator, value } of compound.attributes) {
+		const actual = element.getAttribute(name);
+		if (actual === null) return false;
+
+		switch (operator) {
+			case undefined: break;
+			case "=": if (actual !== value) return false; break;
+			case "~=": if (!actual.split(/\s+/).includes(value)) return false; break;
+			case "^=": if (!actual.startsWith(value)) return false; break;
+			case "$=": if (!actual.endsWith(value)) return false; break;
+			case "*=": if (!actual.includes(value)) return false; break;
+			case "|=": if (actual !== value && !actual.startsWith(`${value}-`)) return false; break;
+		}
+	}
+
+	return !compound.not.some(c => matchesCompound(element, c));
+}
+
+/**
+ * Matches a complex selector from right to left. Like in the browsers, the ancestors may be above the element the search
+ * started from.
+ */
+function matchesComplex(element, parts, index = parts.length - 1) {
+	if (!matchesCompound(element, parts[index].compound)) return false;
+	if (index === 0) return true;
+
+	const { combinator } = parts[index];
+	let ancestor = element.parentNode;
+
+	if (combinator === ">") return ancestor instanceof Element && !(ancestor instanceof Document) && matchesComplex(ancestor, parts, index - 1);
+
+	while (ancestor instanceof Element && !(ancestor instanceof Document)) {
+		if (matchesComplex(ancestor, parts, index - 1)) return true;
+		ancestor = ancestor.parentNode;
+	}
+
+	return false;
+}
+
+module.exports = { parseHTML, Document, Element, TextNode };
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for schedule.js. Grabs the schedule from a saved copy of the Course Schedule page
+ * (https://alunos.uminho.pt/PT/estudantes/Paginas/InfoUteisHorarios.aspx), parsed by html-parser.js instead of the
+ * browser, and writes it formatted with the given turns and abbreviations.
+ *
+ * Example of usage:
+ * ```
+ * node schedule-cli.js horario.html --filter filter.json --abbr abbrs.json
+ * node schedule-cli.js horario.html --filter filter.json --format ics --start 2022-02-14 --end 2022-06-03 --output horario.ics
+ * node schedule-cli.js horario.html --filter filter.json --format svg --locale en --output horario.svg
+ * node schedule-cli.js horario.html --format raw --output schedule.json
+ * node schedule-cli.js horario.html --solve requirements.json --prefs prefs.json --abbr abbrs.json
+ * node schedule-cli.js horario.html --swap turnos.html --abbr abbrs.json
+ * node schedule-cli.js horario.html --free group.json --min 60 --from 09:00 --to 19:00
+ * node schedule-cli.js horario.html --diff schedule-2022-02-14.json --filter filter.json
+ * ```
+ *
+ * The filter JSON maps each subject to the chosen turns (e.g. `{ "Lógica": ["TP3", "T1"] }`) and the abbreviations JSON maps
+ * each subject to it's abbreviation, or to a map of turn types to abbreviations (see `abbrFromMap` on schedule.js). The chosen
+ * turns that overlap are reported on the standard error.
+ *
+ * Instead of a filter, the turns can be chosen by `solveShifts`, given the turn types of each subject (e.g.
+ * `{ "Lógica": ["T", "TP"] }`) and, optionally, the preferences (e.g. `{ "earliest": "10:00", "weights": { "gaps": 2 } }`).
+ * The best combinations are printed, from the best to the worst, and the best one is used for the other formats.
+ *
+ * The turns can also be imported from SWAP (see `importSwapShifts` on schedule.js): a saved copy of the "my shifts" page, or
+ * exported data (JSON or CSV).
+ *
+ * The free time shared by a group of students is found from a JSON list of the students, each with it's filter (or the
+ * path of it's filter) and, for students of other courses, the path of their schedule page:
+ * `[{ "name": "Ana", "filter": "ana.json" }, { "name": "Rui", "page": "horario-lcc.html", "filter": { "Lógica": ["T1"] } }]`
+ * The paths are relative to the list.
+ *
+ * The changes to the schedule are found by comparing it with an older snapshot (a saved page, or the output of the raw
+ * format), only on the chosen turns if a filter is given (--filter or --swap).
+ *
+ * @summary Command-line interface for schedule.js.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseHTML } = require("./html-parser.js");
+const {
+	grabSchedule, formatSchedule, exportICalendar, findClashes, solveShifts, importSwapShifts, findFreeTime, formatFreeTime,
+	diffSchedules, formatScheduleDiff, abbrFromMap, SCHEDULE_LOCALES, FREE_TIME_DEFAULTS
+} = require("./schedule.js");
+
+const USAGE = `Usage:
+  schedule <page.html> [options]
+
+Options:
+  --filter <file.json>    The chosen turns of each subject (required, except for the raw format).
+  --solve <file.json>     Chooses the turns instead, given the turn types (T, TP, PL, ...) of each subject.
+  --prefs <file.json>     The preferences of --solve (earliest, limit and weights).
+  --swap <file>           Imports the turns from SWAP instead: the saved "my shifts" page, or exported JSON or CSV.
+  --free <file.json>      Finds the free time shared by a list of students (text or json format).
+  --min <minutes>         The minimum duration of the free time (default ${FREE_TIME_DEFAULTS.minDuration}).
+  --from <HH:MM>          The start of the day, for the free time (default ${FREE_TIME_DEFAULTS.from}).
+  --to <HH:MM>            The end of the day, for the free time (default ${FREE_TIME_DEFAULTS.to}).
+  --diff <file>           Lists the changes since an older page or raw schedule (text or json format).
+  --abbr <file.json>      The abbreviations of the subjects.
+  --format <format>       text (default), json, markdown, html, svg, ics or raw (the grabbed schedule, unfiltered).
+  --locale <locale>       The language of the day names and labels: pt (default) or en.
+  --start <YYYY-MM-DD>    The first day of the semester (ics).
+  --end <YYYY-MM-DD>      The last day of the semester (ics).
+  --holiday <YYYY-MM-DD>  A day without classes (ics). Can be repeated.
+  --output <file>         Write to a file instead of the standard output.
+  -h, --help              Print this message.`;
+
+/**
+ * @param {string[]} argv
+ * @returns {ScheduleCliOptions}
+ */
+function parseArgs(argv) {
+	const options = { format: "text", holidays: [] };
+	const positional = [];
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		const next = () => {
+			if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+			return argv[++i];
+		};
+
+		switch (arg) {
+			case "--filter": options.filter = next(); break;
+			case "--solve": options.solve = next(); break;
+			case "--prefs": options.prefs = next(); break;
+			case "--swap": options.swap = next(); break;
+			case "--free": options.free = next(); break;
+			case "--min": options.min = next(); break;
+			case "--from": options.from = next(); break;
+			case "--to": options.to = next(); break;
+			case "--diff": options.diff = next(); break;
+			case "--abbr": options.abbr = next(); break;
+			case "--format": options.format = next(); break;
+			case "--locale": options.locale = next(); break;
+			case "--start": options.start = next(); break;
+			case "--end": options.end = next(); break;
+			case "--holiday": options.holidays.push(next()); break;
+			case "--output": options.output = next(); break;
+			case "-h": case "--help": options.help = true; break;
+			default: {
+				if (arg.startsWith("-")) throw new Error(`Unknown option: ${arg}`);
+				positional.push(arg);
+			}
+		}
+	}
+
+	if (positional.length > 1) throw new Error(`Only one page can be read, but ${positional.length} were given.`);
+	options.page = positional[0];
+
+	return options;
+}
+
+function readFile(file, description) {
+	try {
+		return fs.readFileSync(file, "utf8");
+	} catch (e) {
+		throw new Error(`Unable to read the ${description} (${file}): ${e.message}`);
+	}
+}
+
+function readJSON(file, description) {
+	const text = readFile(file, description);
+
+	try {
+		return JSON.parse(text);
+	} catch (e) {
+		throw new Error(`The ${description} (${file}) is not valid JSON: ${e.message}`);
+	}
+}
+
+/**
+ * @param {string} file A saved Course Schedule page, or a schedule saved as JSON (the raw format).
+ * @returns {InternalSchedule}
+ */
+function readSchedule(file) {
+	const text = readFile(file, "Course Schedule");
+	if (/^\s*</.test(text)) return grabSchedule(parseHTML(text));
+
+	try {
+		return JSON.parse(text);
+	} catch (e) {
+		throw new Error(`The Course Schedule (${file}) is neither a page nor valid JSON: ${e.message}`);
+	}
+}
+
+/**
+ * @param {string} file The JSON list of students.
+ * @param {InternalSchedule|null} schedule The schedule of the students without a page.
+ * @returns {{ schedule: InternalSchedule, filter: Object.<string,string[]> }[]}
+ */
+function readStudents(file, schedule) {
+	const students = readJSON(file, "students");
+	if (!Array.isArray(students) || students.length === 0) throw new Error(`The students (${file}) must be a non-empty list.`);
+
+	const resolve = (p) => path.resolve(path.dirname(file), p);
+	const schedules = {};
+
+	return students.map((student, i) => {
+		const name = student.name ?? `#${i + 1}`;
+		if (!student.filter) throw new Error(`The student ${name} has no filter.`);
+		if (!student.page && !schedule) throw new Error(`The student ${name} has no page, and no Course Schedule page was given.`);
+
+		return {
+			schedule: student.page ? (schedules[student.page] ??= readSchedule(resolve(student.page))) : schedule,
+			filter: (typeof student.filter === "string") ? readJSON(resolve(student.filter), `filter of ${name}`) : student.filter
+		};
+	});
+}
+
+/**
+ * Gets the chosen turns, from a filter (--filter), the best solution (--solve) or SWAP (--swap), with their warnings.
+ *
+ * @param {ScheduleCliOptions} options
+ * @param {InternalSchedule} schedule
+ * @param {function(string, string): string} abbr
+ * @returns {Object.<string,string[]>}
+ */
+function readFilter(options, schedule, abbr) {
+	const sources = ["filter", "solve", "swap"].filter(o => options[o]);
+	if (sources.length === 0) throw new Error(`The ${options.format} format needs the chosen turns (--filter, --solve or --swap).`);
+	if (sources.length > 1) throw new Error(`The turns can only come from one of --${sources.join(", --")}.`);
+
+	if (options.solve) {
+		const prefs = options.prefs ? readJSON(options.prefs, "preferences") : {};
+		const solutions = solveShifts(schedule, readJSON(options.solve, "requirements"), prefs);
+		if (solutions.length === 0) throw new Error("There is no combination of turns without clashes.");
+
+		console.error(formatSolutions(solutions));
+		return solutions[0].filter;
+	}
+
+	if (options.swap) {
+		const text = readFile(options.swap, "SWAP shifts");
+		const result = importSwapShifts(/^\s*</.test(text) ? parseHTML(text) : text, schedule);
+
+		for (const warning of result.warnings) console.error(`Warning: ${warning}`);
+		return result.filter;
+	}
+
+	const filter = readJSON(options.filter, "filter");
+	const days = (SCHEDULE_LOCALES[options.locale] ?? SCHEDULE_LOCALES.pt).days;
+	for (const clash of findClashes(schedule, filter)) console.error(`Warning: ${formatClash(clash, abbr, days)}`);
+
+	return filter;
+}
+
+function formatClash(clash, abbr, days) {
+	const classes = clash.classes.map(c => `${abbr(c.subject, c.turn)} ${c.turn} (${c.start} - ${c.end})`);
+
+	return `${classes.join(" clashes with ")} on ${days[clash.day]}, ${clash.start} - ${clash.end}.`;
+}
+
+function formatSolutions(solutions) {
+	return solutions.map((solution, i) => {
+		const { early, freeDays, gaps, buildingChanges } = solution.stats;
+		const turns = Object.entries(solution.filter).map(([subject, turns]) => `${subject}: ${turns.join(", ")}`);
+
+		return `#${i + 1} (score ${+solution.score.toFixed(2)}: ${early} early, ${freeDays} free days, ${gaps / 60}h of gaps, ${buildingChanges} building changes)\n  ${turns.join("\n  ")}`;
+	}).join("\n");
+}
+
+function main(argv) {
+	const options = parseArgs(argv);
+	if (options.help) return console.log(USAGE);
+	if (!options.page && !options.free) throw new Error(`Missing the page of the Course Schedule.\n\n${USAGE}`);
+
+	const schedule = options.page ? readSchedule(options.page) : null;
+	const abbr = abbrFromMap(options.abbr ? readJSON(options.abbr, "abbreviations") : {});
+
+	let output;
+	if (options.free) {
+		const minDuration = (options.min !== undefined) ? Number(options.min) : undefined;
+		if (minDuration !== undefined && !(minDuration >= 0)) throw new Error(`Invalid minimum duration: ${options.min} (expected minutes).`);
+
+		const students = readStudents(options.free, schedule);
+		output = formatFreeTime(findFreeTime(students, { from: options.from, to: options.to, minDuration }), { format: options.format, locale: options.locale });
+	} else if (options.diff) {
+		if (options.solve) throw new Error("The changes can only be limited to the chosen turns of --filter or --swap.");
+
+		const filter = (options.filter || options.swap) ? readFilter(options, schedule, abbr) : undefined;
+		output = formatScheduleDiff(diffSchedules(readSchedule(options.diff), schedule, filter), { format: options.format, locale: options.locale });
+	} else if (options.format === "raw") {
+		output = JSON.stringify(schedule, null, 2);
+	} else {
+		const filter = readFilter(options, schedule, abbr);
+
+		if (options.format === "ics") {
+			if (!options.start || !options.end) throw new Error("The ics format needs the first and last days of the semester (--start and --end).");
+			output = exportICalendar(schedule, filter, abbr, { start: options.start, end: options.end, holidays: options.holidays });
+		} else {
+			output = formatSchedule(schedule, filter, abbr, { format: options.format, locale: options.locale });
+		}
+	}
+
+	if (options.output) fs.writeFileSync(options.output, output);
+	else process.stdout.write(output.endsWith("\n") ? output : `${output}\n`);
+}
+
+try {
+	main(process.argv.slice(2));
+} catch (e) {
+	console.error(`Error: ${e.message}`);
+	process.exitCode = 1;
+}
+
+/**
+ * @typedef {Object} ScheduleCliOptions
+ * @property {string} [page]
+ * @property {string} [filter]
+ * @property {string} [solve]
+ * @property {string} [prefs]
+ * @property {string} [swap]
+ * @property {string} [free]
+ * @property {string} [min]
+ * @property {string} [from]
+ * @property {string} [to]
+ * @property {string} [diff]
+ * @property {string} [abbr]
+ * @property {string} format
+ * @property {string} [locale]
+ * @property {string} [start]
+ * @property {string} [end]
+ * @property {string[]} holidays
+ * @property {string} [output]
+ * @property {boolean} [help]
+ */
@@ -0,0 +1,267 @@
+/**
+ * In-page panel for schedule.js, on the Course Schedule page (https://alunos.uminho.pt/PT/estudantes/Paginas/InfoUteisHorarios.aspx).
+ * Lists the subjects found by `grabSchedule`, to tick the turns and edit the abbreviations of each one, previews the
+ * formatted schedule and downloads it (on any of the formats, or as an iCalendar file). The settings are saved on the
+ * localStorage of the page.
+ *
+ * It needs the functions of schedule.js: paste both files into the console (schedule.js first) and call
+ * `mountSchedulePanel()`, or install the userscript (or bookmarklet) built by build-userscript.js, which does it.
+ *
+ * @summary In-page panel for schedule.js.
+ */
+
+/**
+ * The file name and type of the downloads of each format.
+ *
+ * @type {Object.<string, { file: string, type: string }>}
+ */
+const PANEL_DOWNLOADS = {
+	text: { file: "horario.txt", type: "text/plain" },
+	json: { file: "horario.json", type: "application/json" },
+	markdown: { file: "horario.md", type: "text/markdown" },
+	html: { file: "horario.html", type: "text/html" },
+	svg: { file: "horario.svg", type: "image/svg+xml" }
+};
+
+const PANEL_STYLE = `
+	:host { all: initial; }
+	.panel { position: fixed; top: 16px; right: 16px; z-index: 2147483647; width: 420px; max-height: calc(100vh - 32px); display: flex; flex-direction: column; background: #ffffff; color: #222222; border: 1px solid #bbbbbb; border-radius: 6px; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25); font: 13px sans-serif; }
+	.panel.collapsed { width: auto; }
+	.panel.collapsed .content { display: none; }
+	header { display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 6px 10px; background: #8b0000; color: #ffffff; border-radius: 6px 6px 0 0; }
+	header button { background: transparent; color: inherit; border: 1px solid rgba(255, 255, 255, 0.6); }
+	.content { overflow-y: auto; padding: 8px 10px; }
+	fieldset { margin: 0 0 6px; padding: 4px 8px; border: 1px solid #dddddd; border-radius: 4px; }
+	legend { font-weight: bold; }
+	.turns { display: flex; flex-wrap: wrap; gap: 2px 10px; margin-top: 4px; }
+	label { white-space: nowrap; }
+	input[type="text"] { width: 120px; }
+	.row { display: flex; flex-wrap: wrap; align-items: center; gap: 6px 12px; margin: 8px 0; }
+	.errors { color: #b00020; }
+	.preview pre { max-height: 240px; overflow: auto; padding: 6px; background: #f4f4f4; border-radius: 4px; font: 12px monospace; white-space: pre; }
+	.preview iframe, .preview img { width: 100%; height: 240px; border: 1px solid #dddddd; background: #ffffff; object-fit: contain; }
+	button { cursor: pointer; font: inherit; padding: 2px 8px; border-radius: 3px; }
+`;
+
+/**
+ * Injects the panel into the page. Calling it again (e.g. running the bookmarklet twice) shows or hides the panel.
+ *
+ * @param {{ storageKey?: string }} [options] The localStorage key of the settings.
+ */
+function mountSchedulePanel(options = {}) {
+	const { storageKey = "schedule.js:settings" } = options;
+
+	const existing = document.getElementById("schedule-js-panel");
+	if (existing) {
+		existing.hidden = !existing.hidden;
+		return;
+	}
+
+	const host = document.createElement("div");
+	host.id = "schedule-js-panel";
+	document.body.appendChild(host);
+
+	const shadow = host.attachShadow({ mode: "open" });
+	shadow.innerHTML = `
+		<style>${PANEL_STYLE}</style>
+		<div class="panel">
+			<header>
+				<strong>Horário</strong>
+				<span>
+					<button data-action="reload" title="Voltar a ler o horário da página">Recarregar</button>
+					<button data-action="toggle" title="Minimizar">–</button>
+				</span>
+			</header>
+			<div class="content">
+				<div class="errors"></div>
+				<div class="subjects"></div>
+				<div class="row">
+					<label>Formato <select data-setting="format"></select></label>
+					<label>Idioma <select data-setting="locale"></select></label>
+					<button data-action="download">Descarregar</button>
+				</div>
+				<div class="preview"></div>
+				<div class="row">
+					<label>Início <input type="date" data-setting="start"></label>
+					<label>Fim <input type="date" data-setting="end"></label>
+				</div>
+				<div class="row">
+					<label>Feriados <input type="text" data-setting="holidays" placeholder="2022-04-15, 2022-04-25"></label>
+					<button data-action="ics">Descarregar .ics</button>
+				</div>
+			</div>
+		</div>
+	`;
+
+	const panel = shadow.querySelector(".panel");
+	const settings = { filter: {}, abbrs: {}, format: "text", locale: "pt", start: "", end: "", holidays: "", collapsed: false, ...loadSettings(storageKey) };
+
+	shadow.querySelector('[data-setting="format"]').innerHTML = Object.keys(SCHEDULE_FORMATTERS).map(f => `<option>${escapeHTML(f)}</option>`).join("");
+	shadow.querySelector('[data-setting="locale"]').innerHTML = Object.keys(SCHEDULE_LOCALES).map(l => `<option>${escapeHTML(l)}</option>`).join("");
+	for (const input of shadow.querySelectorAll("[data-setting]")) input.value = settings[input.dataset.setting];
+	panel.classList.toggle("collapsed", settings.collapsed);
+
+	let schedule = null;
+	const showErrors = (errors) => {
+		shadow.querySelector(".errors").innerHTML = errors.map(e => `<p>${escapeHTML(e)}</p>`).join("");
+	};
+
+	// Lists the subjects of the schedule, with their turns (the chosen ones ticked) and abbreviations
+	const renderSubjects = () => {
+		try {
+			schedule = grabSchedule();
+		} catch (e) {
+			schedule = null;
+			shadow.querySelector(".subjects").innerHTML = "";
+			return showErrors([e.message]);
+		}
+
+		const turns = {};
+		for (const s of listSessions(schedule)) (turns[s.subject] ??= new Set()).add(s.turn);
+
+		shadow.querySelector(".subjects").innerHTML = Object.keys(turns).sort().map(subject => `
+			<fieldset data-subject="${escapeHTML(subject)}">
+				<legend>${escapeHTML(subject)}</legend>
+				<label>Abreviatura <input type="text" data-abbr value="${escapeHTML(settings.abbrs[subject] ?? "")}" placeholder="${escapeHTML(subject)}"></label>
+				<div class="turns">
+					${[...turns[subject]].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })).map(turn => `
+						<label><input type="checkbox" data-turn="${escapeHTML(turn)}" ${(settings.filter[subject] ?? []).includes(turn) ? "checked" : ""}> ${escapeHTML(turn)}</label>
+					`).join("")}
+				</div>
+			</fieldset>
+		`).join("");
+
+		renderPreview();
+	};
+
+	// Reads the settings from the panel, saves them and updates the preview
+	const update = () => {
+		for (const input of shadow.querySelectorAll("[data-setting]")) settings[input.dataset.setting] = input.value;
+
+		if (schedule) {
+			settings.filter = {};
+			settings.abbrs = {};
+			for (const fieldset of shadow.querySelectorAll("fieldset[data-subject]")) {
+				const subject = fieldset.dataset.subject;
+				const chosen = Array.from(fieldset.querySelectorAll("input[data-turn]:checked")).map(i => i.dataset.turn);
+				const abbr = fieldset.querySelector("input[data-abbr]").value.trim();
+
+				if (chosen.length > 0) settings.filter[subject] = chosen;
+				if (abbr !== "") settings.abbrs[subject] = abbr;
+			}
+		}
+
+		saveSettings(storageKey, settings);
+		renderPreview();
+	};
+
+	const renderPreview = () => {
+		const preview = shadow.querySelector(".preview");
+		if (!schedule) return preview.innerHTML = "";
+
+		let output;
+		try {
+			output = formatSchedule(schedule, settings.filter, abbrFromMap(settings.abbrs), { format: settings.format, locale: settings.locale });
+		} catch (e) {
+			preview.innerHTML = "";
+			return showErrors([e.message]);
+		}
+
+		const days = SCHEDULE_LOCALES[settings.locale]?.days ?? SCHEDULE_LOCALES.pt.days;
+		showErrors(findClashes(schedule, settings.filter).map(c =>
+			`${c.classes.map(x => `${x.subject} ${x.turn}`).join(" / ")}: ${days[c.day]}, ${c.start} - ${c.end}`
+		));
+
+		if (settings.format === "html") {
+			preview.innerHTML = "<iframe sandbox></iframe>";
+			preview.querySelector("iframe").srcdoc = output;
+		} else if (settings.format === "svg") {
+			preview.innerHTML = `<img alt="">`;
+			preview.querySelector("img").src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(output)}`;
+		} else {
+			preview.innerHTML = "<pre></pre>";
+			preview.querySelector("pre").textContent = output;
+		}
+	};
+
+	shadow.addEventListener("input", update);
+	shadow.addEventListener("change", update);
+	shadow.addEventListener("click", (event) => {
+		const action = event.target.closest("[data-action]")?.dataset.action;
+
+		try {
+			switch (action) {
+				case "toggle": {
+					settings.collapsed = panel.classList.toggle("collapsed");
+					saveSettings(storageKey, settings);
+					break;
+				}
+				case "reload": renderSubjects(); break;
+				case "download": {
+					if (!schedule) break;
+
+					const output = formatSchedule(schedule, settings.filter, abbrFromMap(settings.abbrs), { format: settings.format, locale: settings.locale });
+					const { file, type } = PANEL_DOWNLOADS[settings.format] ?? { file: `horario.${settings.format}.txt`, type: "text/plain" };
+					downloadFile(file, type, output);
+					break;
+				}
+				case "ics": {
+					if (!schedule) break;
+
+					const holidays = settings.holidays.split(/[\s,;]+/).filter(h => h !== "");
+					const ics = exportICalendar(schedule, settings.filter, abbrFromMap(settings.abbrs), { start: settings.start, end: settings.end, holidays });
+					downloadFile("horario.ics", "text/calendar", ics);
+					break;
+				}
+			}
+		} catch (e) {
+			showErrors([e.message]);
+		}
+	});
+
+	renderSubjects();
+}
+
+/**
+ * @param {string} key
+ * @returns {Object} The saved settings, or an empty object if there are none (or they can't be read).
+ */
+function loadSettings(key) {
+	try {
+		return JSON.parse(localStorage.getItem(key)) ?? {};
+	} catch {
+		return {};
+	}
+}
+
+/**
+ * @param {string} key
+ * @param {Object} settings
+ */
+function saveSettings(key, settings) {
+	try {
+		localStorage.setItem(key, JSON.stringify(settings));
+	} catch {
+		// The storage may be full or disabled, and the settings just aren't kept
+	}
+}
+
+/**
+ * Makes the browser download a file.
+ *
+ * @param {string} name
+ * @param {string} type The MIME type.
+ * @param {string} content
+ */
+function downloadFile(name, type, content) {
+	const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = name;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
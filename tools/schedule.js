@@ -33,6 +33,42 @@
  * const schedule = grabSchedule()
  * const formSched = formatSchedule(schedule, filter, subAbbr)
  * console.log(formSched)
+ *
+ * // Other formats (json, markdown, html and svg) and languages (pt and en) are available too
+ * const svg = formatSchedule(schedule, filter, subAbbr, { format: "svg", locale: "en" })
+ * 
+ * // The schedule can also be exported into an iCalendar (.ics) file, for Google Calendar, Thunderbird, etc.
+ * const ics = exportICalendar(schedule, filter, subAbbr, {
+ *   start: "2022-02-14",
+ *   end: "2022-06-03",
+ *   holidays: ["2022-04-15", "2022-04-25"]
+ * })
+ *
+ * // The turns can also be imported from the SWAP "my shifts" page (saved, or exported as JSON or CSV)...
+ * const { filter: swapFilter, warnings } = importSwapShifts(swapJSON, schedule)
+ *
+ * // ...or chosen automatically, without clashes
+ * console.log(findClashes(schedule, filter))
+ * const [best] = solveShifts(schedule, { "Lógica": ["T", "TP"], "Sistemas de Computação": ["T", "PL"] }, { earliest: "09:00" })
+ * console.log(formatSchedule(schedule, best.filter, subAbbr))
+ *
+ * // The free time shared by a group of students (e.g. for group projects), of at least an hour
+ * console.log(formatFreeTime(findFreeTime([{ schedule, filter }, { schedule, filter: swapFilter }], { minDuration: 60 })))
+ *
+ * // The changes since an older snapshot of the schedule (e.g. saved with `JSON.stringify(schedule)`)
+ * console.log(formatScheduleDiff(diffSchedules(oldSchedule, schedule, filter)))
+ * ```
+ *
+ * Instead of editing the filter and abbreviations here, they can be chosen on a panel on the page (see schedule-panel.js,
+ * installable as a userscript or bookmarklet with build-userscript.js).
+ *
+ * In Node.js, the schedule can be grabbed from a saved copy of the Course Schedule page instead (see schedule-cli.js):
+ * ```
+ * const fs = require("fs");
+ * const { parseHTML } = require("./html-parser.js");
+ * const { grabSchedule, formatSchedule } = require("./schedule.js");
+ *
+ * const schedule = grabSchedule(parseHTML(fs.readFileSync("horario.html", "utf8")))
  * ```
  *
  *
@@ -40,7 +76,7 @@
  * @author Rafael Fernandes <rafaelsantosfernandes660@gmail.com>
  *
  * Created at     : 2022-02-10 14:41:14 
- * Last modified  : 2022-02-10 14:41:14 
+ * Last modified  : 2026-10-19 10:00:00 
  */
 
 /**
@@ -48,43 +84,44 @@
  * 
  * Requires a formatter (like {@link formatSchedule}) for translation into a readable format.
  *
+ * @param {Document|Element} [root=document] The page to grab the schedule from. Outside of the browser, a page parsed by
+ *   html-parser.js.
  * @return {InternalSchedule} 
  */
-function grabSchedule() {
+function grabSchedule(root = document) {
 	const scheduleTable = getChildOrThrow(
-		document,
+		root,
 		"div.rsContent.rsWeekView > table",
-		(e) => !(e.length > 1 || e === 0),
+		(e) => !(e.length > 1 || e.length === 0),
 		"Unable to grab schedule: Could not find schedule table."
 	)[0];
 
 	const tbody = getChildOrThrow(
 		scheduleTable,
 		"tbody > tr > td.rsContentWrapper > div.rsContentScrollArea > table.rsContentTable > tbody",
-		(e) => !(e.length > 1 || e === 0),
+		(e) => !(e.length > 1 || e.length === 0),
 		"Unable to grab schedule: Could not find schedule table contents."
 	)[0];
 
 	const rows = getChildOrThrow(
 		tbody,
-		"tr:not(.rsAlt)",
-		(e) => !(e === 0),
+		"tr",
+		(e) => !(e.length === 0),
 		"Unable to grab schedule: Could not find schedule table content rows."
 	);
 
+	const grid = getTimeGrid(scheduleTable, rows);
+	const days = getDayColumns(scheduleTable, rows[0].children.length);
+
 	/** @type {InternalSchedule} */
-	const entries = {
-		0: {},
-		1: {},
-		2: {},
-		3: {},
-		4: {}
-	};
+	const entries = {};
+	for (const day of days) entries[day] = {};
+
 	for (let i = 0; i < rows.length; i++) {
-		const hourEntries = iterateTableRow(rows[i]);
+		const slotEntries = iterateTableRow(rows[i], grid.start + i * grid.step, grid, days);
 
-		for (let j = 0; j < hourEntries.length; j++) {
-			entries[j][i] = hourEntries[j];
+		for (let j = 0; j < slotEntries.length && j < days.length; j++) {
+			entries[days[j]][i] = slotEntries[j];
 		}
 	}
   
@@ -92,33 +129,571 @@ function grabSchedule() {
 }
 
 /**
- * Formats an {@link InternalSchedule}.
+ * Formats an {@link InternalSchedule}, with one of the {@link SCHEDULE_FORMATTERS} (the text, by default) and one of the
+ * {@link SCHEDULE_LOCALES} (Portuguese, by default).
+ *
+ * @example
+ * formatSchedule(schedule, filter, subAbbr) // Segunda-Feira\n  - 08:00 - 10:00 | L (T) | CP1 - 0.08 ...
+ * formatSchedule(schedule, filter, subAbbr, { format: "markdown", locale: "en" }) // | Time | Monday | ...
  *
  * @param {InternalSchedule} schedule
  * @param {Object.<string,string[]>} filter
  * @param {function(string, string): string} abbr
+ * @param {FormatOptions} [options]
  * @returns {string}
  */
-function formatSchedule(schedule, filter, abbr) {
-	const days = ["Segunda-Feira", "Terça-Feira", "Quarta-Feira", "Quinta-Feira", "Sexta-Feira"]
-	const hours = ["08:00", "09:00", "10:00", "11:00", "12:00", "13:00", "14:00", "15:00", "16:00", "17:00", "18:00", "19:00", "20:00"]
+function formatSchedule(schedule, filter, abbr, options = {}) {
+	const { format = "text", locale = "pt", title } = options;
+
+	const formatter = SCHEDULE_FORMATTERS[format];
+	if (!formatter) throw new Error(`Unknown format: "${format}" (expected ${Object.keys(SCHEDULE_FORMATTERS).join(", ")}).`);
+
+	let scheduleLocale = locale;
+	if (typeof locale === "string") {
+		scheduleLocale = SCHEDULE_LOCALES[locale];
+		if (!scheduleLocale) throw new Error(`Unknown locale: "${locale}" (expected ${Object.keys(SCHEDULE_LOCALES).join(", ")}).`);
+	}
+
+	return formatter(buildScheduleView(schedule, filter, abbr, { ...SCHEDULE_LOCALES.pt, ...scheduleLocale }, title), options);
+}
+
+/**
+ * The day names and labels of each language, used by the formatters. A custom locale can be added here, or given directly
+ * to {@link formatSchedule} (missing labels fall back to Portuguese).
+ *
+ * @type {Object.<string, ScheduleLocale>}
+ */
+const SCHEDULE_LOCALES = {
+	pt: {
+		lang: "pt",
+		days: ["Segunda-Feira", "Terça-Feira", "Quarta-Feira", "Quinta-Feira", "Sexta-Feira", "Sábado", "Domingo"],
+		noClasses: "Sem aulas",
+		noFreeTime: "Sem tempo livre",
+		noChanges: "Sem alterações",
+		changes: { added: "Nova aula", removed: "Aula removida", room: "Mudança de sala", turn: "Mudança de turno", time: "Mudança de horário" },
+		time: "Hora",
+		title: "Horário"
+	},
+	en: {
+		lang: "en",
+		days: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"],
+		noClasses: "No classes",
+		noFreeTime: "No free time",
+		noChanges: "No changes",
+		changes: { added: "New class", removed: "Removed class", room: "Room change", turn: "Turn change", time: "Time change" },
+		time: "Time",
+		title: "Schedule"
+	}
+};
+
+/**
+ * The defaults of {@link findFreeTime}: the day is from 08:00 to 20:00, from Monday to Friday, and the free windows last
+ * 30 minutes at least.
+ *
+ * @type {Required<FreeTimeOptions>}
+ */
+const FREE_TIME_DEFAULTS = { from: "08:00", to: "20:00", minDuration: 30, days: [0, 1, 2, 3, 4] };
 
+/**
+ * The formatters of {@link formatSchedule}, by name. A formatter turns the chosen classes (a {@link ScheduleView}) into a
+ * string, and new ones can be added here:
+ * ```
+ * SCHEDULE_FORMATTERS.csv = (view) => view.days.flatMap(d => d.classes.map(c => `${d.name},${c.start},${c.end},${c.name}`)).join("\n")
+ * ```
+ *
+ * @type {Object.<string, function(ScheduleView, FormatOptions): string>}
+ */
+const SCHEDULE_FORMATTERS = {
+	text: formatText,
+	json: formatJSON,
+	markdown: formatMarkdown,
+	html: formatHTML,
+	svg: formatSVG
+};
+
+/**
+ * Formats the classes of each day as a list.
+ *
+ * @param {ScheduleView} view
+ * @returns {string}
+ */
+function formatText(view) {
 	let formattedEntries = "";
-	for (const [dayKey, day] of Object.entries(schedule)) {
-		const formattedDayHours = [];
+	for (const day of view.days) {
+		formattedEntries += `${day.name}\n`;
 
-		formattedEntries += `${days[dayKey]}\n`;
+		if (day.classes.length > 0) formattedEntries += "  " + day.classes.map(c => `- ${c.start} - ${c.end} | ${c.name} | ${c.room}`).join("\n  ");
+		else formattedEntries += `  - ${view.locale.noClasses}`;
+
+		formattedEntries += "\n";
+	}
+
+	return formattedEntries;
+}
+
+/**
+ * Formats the classes of each day as JSON, for other programs.
+ *
+ * @param {ScheduleView} view
+ * @returns {string}
+ */
+function formatJSON(view) {
+	return JSON.stringify({ title: view.title, days: view.days }, null, 2);
+}
+
+/**
+ * Formats the week as a Markdown table, with a row per time slot and a column per day. A class is written on the slot it
+ * starts, and marked with "〃" on the following ones.
+ *
+ * @param {ScheduleView} view
+ * @returns {string}
+ */
+function formatMarkdown(view) {
+	const { start, end, step } = getTimeRange(view);
+	const escape = (text) => String(text).replace(/[\\|*_`]/g, c => `\\${c}`);
+	const blocks = view.days.map(d => groupOverlapping(d.classes));
+
+	const lines = [
+		`| ${escape(view.locale.time)} | ${view.days.map(d => escape(d.name)).join(" | ")} |`,
+		`|${" --- |".repeat(view.days.length + 1)}`
+	];
+
+	for (let time = start; time < end; time += step) {
+		const cells = blocks.map(dayBlocks => {
+			const block = dayBlocks.find(b => b.start <= time && time < b.end);
+			if (!block) return "";
+			if (block.start !== time) return "〃";
+
+			return block.classes.map(c => `**${escape(c.name)}** ${escape(c.turn)} (${escape(c.room)})`).join("<br>");
+		});
+
+		lines.push(`| ${formatTime(time)} - ${formatTime(time + step)} | ${cells.join(" | ")} |`);
+	}
+
+	return lines.join("\n") + "\n";
+}
+
+/**
+ * Formats the week as a standalone HTML page, with a printable table (a row per time slot and a column per day). The
+ * classes span the rows of their duration, and are colored by subject.
+ *
+ * @param {ScheduleView} view
+ * @returns {string}
+ */
+function formatHTML(view) {
+	const { start, end, step } = getTimeRange(view);
+	const blocks = view.days.map(d => groupOverlapping(d.classes));
+
+	const rows = [];
+	for (let time = start; time < end; time += step) {
+		const cells = blocks.map(dayBlocks => {
+			const block = dayBlocks.find(b => b.start <= time && time < b.end);
+			if (!block) return "<td></td>";
+			if (block.start !== time) return "";
+
+			const classes = block.classes.map(c => {
+				const style = `background: ${subjectColor(c.subject, 85)}; border-color: ${subjectColor(c.subject, 45)};`;
+				return `<div class="class" style="${style}"><strong>${escapeHTML(c.name)}</strong> ${escapeHTML(c.turn)}<br><small>${escapeHTML(c.room)} · ${c.start} - ${c.end}</small></div>`;
+			});
+
+			return `<td rowspan="${(block.end - block.start) / step}">${classes.join("")}</td>`;
+		});
+
+		rows.push(`      <tr><th>${formatTime(time)}</th>${cells.join("")}</tr>`);
+	}
+
+	return `<!DOCTYPE html>
+<html lang="${escapeHTML(view.locale.lang)}">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHTML(view.title)}</title>
+  <style>
+    @page { size: A4 landscape; margin: 1cm; }
+    body { font-family: sans-serif; margin: 1em; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+    th, td { border: 1px solid #ccc; padding: 2px; vertical-align: top; font-size: 12px; }
+    thead th, tbody th { background: #f4f4f4; }
+    tbody th { width: 4em; font-weight: normal; }
+    .class { height: 100%; box-sizing: border-box; border-left: 4px solid; border-radius: 3px; padding: 2px 4px; margin-bottom: 2px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHTML(view.title)}</h1>
+  <table>
+    <thead>
+      <tr><th>${escapeHTML(view.locale.time)}</th>${view.days.map(d => `<th>${escapeHTML(d.name)}</th>`).join("")}</tr>
+    </thead>
+    <tbody>
+${rows.join("\n")}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Formats the week as an SVG image, with a column per day and the classes colored by subject. The overlapping classes
+ * share the width of the column.
+ *
+ * @param {ScheduleView} view
+ * @returns {string}
+ */
+function formatSVG(view) {
+	const { start, end } = getTimeRange(view);
+	const [labelWidth, columnWidth, headerHeight, hourHeight] = [50, 160, 30, 48];
+	const width = labelWidth + columnWidth * view.days.length;
+	const height = headerHeight + (end - start) / 60 * hourHeight;
+	const y = (time) => headerHeight + (time - start) / 60 * hourHeight;
+
+	const elements = [
+		`<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+		`<text x="${labelWidth / 2}" y="20" text-anchor="middle" font-weight="bold">${escapeHTML(view.locale.time)}</text>`
+	];
+
+	for (let time = Math.ceil(start / 60) * 60; time <= end; time += 60) {
+		elements.push(
+			`<line x1="${labelWidth}" y1="${y(time)}" x2="${width}" y2="${y(time)}" stroke="#dddddd"/>`,
+			`<text x="${labelWidth - 6}" y="${y(time) + 4}" text-anchor="end" fill="#555555">${formatTime(time)}</text>`
+		);
+	}
+
+	view.days.forEach((day, i) => {
+		const x = labelWidth + i * columnWidth;
+		elements.push(
+			`<line x1="${x}" y1="0" x2="${x}" y2="${height}" stroke="#dddddd"/>`,
+			`<text x="${x + columnWidth / 2}" y="20" text-anchor="middle" font-weight="bold">${escapeHTML(day.name)}</text>`
+		);
+
+		for (const block of groupOverlapping(day.classes)) {
+			// Each class goes on the first lane that is free by the time it starts
+			const lanes = [];
+			const placed = block.classes.map(c => {
+				let lane = lanes.findIndex(laneEnd => laneEnd <= parseTime(c.start));
+				if (lane < 0) lane = lanes.length;
+				lanes[lane] = parseTime(c.end);
+
+				return { c, lane };
+			});
+
+			for (const { c, lane } of placed) {
+				const laneWidth = columnWidth / lanes.length;
+				const [cx, cy] = [x + lane * laneWidth + 2, y(parseTime(c.start)) + 1];
+				const [cw, ch] = [laneWidth - 4, y(parseTime(c.end)) - y(parseTime(c.start)) - 2];
+				const id = `class-${i}-${elements.length}`;
+
+				elements.push(
+					`<clipPath id="${id}"><rect x="${cx}" y="${cy}" width="${cw}" height="${ch}"/></clipPath>`,
+					`<rect x="${cx}" y="${cy}" width="${cw}" height="${ch}" rx="4" fill="${subjectColor(c.subject, 85)}" stroke="${subjectColor(c.subject, 45)}"/>`,
+					`<g clip-path="url(#${id})">` +
+						`<text x="${cx + 4}" y="${cy + 14}" font-weight="bold">${escapeHTML(c.name)}</text>` +
+						`<text x="${cx + 4}" y="${cy + 27}" font-size="11">${escapeHTML(c.turn)} · ${escapeHTML(c.room)}</text>` +
+						`<text x="${cx + 4}" y="${cy + 40}" font-size="11" fill="#555555">${c.start} - ${c.end}</text>` +
+					`</g>`
+				);
+			}
+		}
+	});
+
+	return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="12">
+  <title>${escapeHTML(view.title)}</title>
+  ${elements.join("\n  ")}
+</svg>
+`;
+}
+
+/**
+ * Exports an {@link InternalSchedule} into an iCalendar file (RFC 5545). Each class is a weekly event, between the start and
+ * end dates of the semester, in the Europe/Lisbon timezone. The holidays are excluded from the events (EXDATE).
+ *
+ * @param {InternalSchedule} schedule
+ * @param {Object.<string,string[]>} filter
+ * @param {function(string, string): string} abbr
+ * @param {ICalendarOptions} options
+ * @returns {string}
+ */
+function exportICalendar(schedule, filter, abbr, options) {
+	const { start, end, holidays = [], name = "Horário", now = new Date() } = options;
+	const semesterStart = parseDate(start);
+	const semesterEnd = parseDate(end);
+	if (semesterEnd < semesterStart) throw new Error(`The semester ends (${end}) before it starts (${start}).`);
+
+	const holidayDates = holidays.map(parseDate);
+	const stamp = formatDateTime(now);
+
+	const lines = [
+		"BEGIN:VCALENDAR",
+		"VERSION:2.0",
+		"PRODID:-//UMinho//schedule.js//PT",
+		"CALSCALE:GREGORIAN",
+		"METHOD:PUBLISH",
+		`X-WR-CALNAME:${escapeICalendarText(name)}`,
+		"X-WR-TIMEZONE:Europe/Lisbon",
+		...LISBON_VTIMEZONE
+	];
+
+	for (const [dayKey, day] of Object.entries(schedule)) {
+		// The first occurrence is the first day of the semester on the same weekday (0 is Monday)
+		const first = new Date(semesterStart);
+		first.setUTCDate(first.getUTCDate() + (parseInt(dayKey) - (first.getUTCDay() + 6) % 7 + 7) % 7);
+		if (first > semesterEnd) continue;
 
 		for (const [hourKey, hour] of Object.entries(day)) {
-			const Class = hour.filter(e => {
-				return ((filter[e.subject] ?? []).includes(e.turn));
-			})[0]
-	
-			if (Class) formattedDayHours.push(`- ${hours[hourKey]} - ${hours[parseInt(hourKey) + Class.time] ?? "xx:xx"} | ${abbr(Class.subject, Class.turn)} | ${Class.room}`);
+			for (const Class of filterEntries(hour, filter)) {
+				const { start: startTime, end: endTime } = getEntryTimes(hourKey, Class);
+				const excluded = holidayDates.filter(d => d >= first && d <= semesterEnd && (d.getUTCDay() + 6) % 7 === parseInt(dayKey));
+
+				lines.push(
+					"BEGIN:VEVENT",
+					`UID:${[start, dayKey, hourKey, Class.subject, Class.turn].join("-").replace(/[^\w-]+/g, "_")}@schedule.uminho.pt`,
+					`DTSTAMP:${stamp}`,
+					`DTSTART;TZID=Europe/Lisbon:${formatDate(first)}T${startTime.replace(":", "")}00`,
+					`DTEND;TZID=Europe/Lisbon:${formatDate(first)}T${endTime.replace(":", "")}00`,
+					// UNTIL must be in UTC, so the end of the last day (in UTC) is used
+					`RRULE:FREQ=WEEKLY;UNTIL=${formatDate(semesterEnd)}T235959Z`,
+					...excluded.map(d => `EXDATE;TZID=Europe/Lisbon:${formatDate(d)}T${startTime.replace(":", "")}00`),
+					`SUMMARY:${escapeICalendarText(abbr(Class.subject, Class.turn))}`,
+					`DESCRIPTION:${escapeICalendarText(`${Class.subject} (${Class.turn})`)}`,
+					`LOCATION:${escapeICalendarText(Class.room)}`,
+					"END:VEVENT"
+				);
+			}
+		}
+	}
+
+	lines.push("END:VCALENDAR");
+
+	return lines.map(foldICalendarLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Lists every pair of chosen turns whose classes overlap. {@link formatSchedule} lists the overlapping classes together,
+ * but doesn't point out that they clash, so they're reported from here (e.g. as the warnings of schedule-cli.js).
+ *
+ * @param {InternalSchedule} schedule
+ * @param {Object.<string,string[]>} filter
+ * @returns {Clash[]}
+ */
+function findClashes(schedule, filter) {
+	const sessions = listSessions(schedule).filter(s => (filter[s.subject] ?? []).includes(s.turn));
+
+	/** @type {Clash[]} */
+	const clashes = [];
+	for (let i = 0; i < sessions.length; i++) {
+		for (let j = i + 1; j < sessions.length; j++) {
+			const a = sessions[i], b = sessions[j];
+			if (a.day !== b.day || a.start >= b.end || b.start >= a.end) continue;
+
+			clashes.push({
+				day: a.day,
+				start: formatTime(Math.max(a.start, b.start)),
+				end: formatTime(Math.min(a.end, b.end)),
+				classes: [a, b].map(s => ({ subject: s.subject, turn: s.turn, room: s.room, start: formatTime(s.start), end: formatTime(s.end) }))
+			});
+		}
+	}
+
+	return clashes;
+}
+
+/**
+ * Chooses the turns of each subject. Every combination of turns (one of each required type, e.g. a T and a TP) without
+ * clashes is ranked by the preferences, from the best to the worst:
+ * - the classes that start before `earliest` (early mornings);
+ * - the weekdays without classes (free days);
+ * - the time between classes of the same day (gaps);
+ * - the back-to-back classes on different buildings (the building is the start of the room, e.g. "CP1" of "CP1 - 0.08").
+ *
+ * Each criteria is multiplied by it's weight, and the combination with the lowest score is the best. A weight of 0 ignores it.
+ *
+ * @example
+ * const [best] = solveShifts(schedule, { "Lógica": ["T", "TP"], "Laboratórios de Informática II": ["PL"] }, { earliest: "10:00" })
+ * console.log(formatSchedule(schedule, best.filter, subAbbr))
+ *
+ * @param {InternalSchedule} schedule
+ * @param {Object.<string,string[]>} requirements The turn types ("T", "TP", "PL", ...) required by each subject.
+ * @param {ShiftPreferences} [preferences]
+ * @returns {ShiftSolution[]} The best combinations (at most `limit`), from the best to the worst.
+ */
+function solveShifts(schedule, requirements, preferences = {}) {
+	const { earliest = "09:00", limit = 10 } = preferences;
+	const weights = { early: 1, freeDays: 1, gaps: 1, buildings: 1, ...preferences.weights };
+	const earliestTime = requireTime(earliest);
+
+	const sessions = listSessions(schedule);
+
+	// Every choice to make (a subject and a turn type), with the classes of each of it's turns
+	const choices = [];
+	for (const [subject, types] of Object.entries(requirements)) {
+		for (const type of types) {
+			const turns = {};
+			for (const s of sessions) {
+				if (s.subject === subject && turnType(s.turn) === type) (turns[s.turn] ??= []).push(s);
+			}
+
+			if (Object.keys(turns).length === 0) throw new Error(`There are no ${type} turns of ${subject} in the schedule.`);
+			choices.push({ subject, turns: Object.entries(turns) });
+		}
+	}
+
+	// The choices with fewer turns first, so clashes are found sooner
+	choices.sort((a, b) => a.turns.length - b.turns.length);
+
+	/** @type {ShiftSolution[]} */
+	const solutions = [];
+	const chosen = [];
+	const search = (i) => {
+		if (i === choices.length) {
+			const stats = rankSessions(chosen.flatMap(c => c.sessions), earliestTime);
+			const score = weights.early * stats.early - weights.freeDays * stats.freeDays + weights.gaps * stats.gaps / 60 + weights.buildings * stats.buildingChanges;
+
+			// Keeps only the best solutions, sorted (between equal scores, the first found comes first)
+			let position = solutions.length;
+			while (position > 0 && solutions[position - 1].score > score) position--;
+			if (position >= limit) return;
+
+			const filter = {};
+			for (const c of chosen) (filter[c.subject] ??= []).push(c.turn);
+
+			solutions.splice(position, 0, { filter, score, stats });
+			if (solutions.length > limit) solutions.pop();
+			return;
+		}
+
+		for (const [turn, turnSessions] of choices[i].turns) {
+			const clashes = turnSessions.some(s => chosen.some(c => c.sessions.some(o => o.day === s.day && o.start < s.end && s.start < o.end)));
+			if (clashes) continue;
+
+			chosen.push({ subject: choices[i].subject, turn, sessions: turnSessions });
+			search(i + 1);
+			chosen.pop();
 		}
+	};
+
+	search(0);
+	return solutions;
+}
+
+/**
+ * Builds the filter (the chosen turns of each subject) from the shifts of a student on SWAP (https://swap.di.uminho.pt/).
+ * The shifts can be given as:
+ * - the "my shifts" page (the `document`, on the browser, or a saved copy parsed by html-parser.js), whose rows (or lines)
+ *   have the subject and the turns (e.g. "Programação Imperativa | TP8, T1");
+ * - exported data, as JSON (a filter, or a list of objects with the subject and the turns) or CSV (a subject and a turn per line).
+ *
+ * The subjects don't need to be written exactly as on the schedule: they are matched to the most similar subject of the
+ * schedule (ignoring case, accents and codes, and accepting abbreviations like "PI" or "LI II"). The shifts that aren't on
+ * the schedule are left out of the filter, with a warning.
+ *
+ * @example
+ * const { filter, warnings } = importSwapShifts(document, schedule)
+ * warnings.forEach(w => console.warn(w))
+ * console.log(formatSchedule(schedule, filter, subAbbr))
+ *
+ * @param {Document|Element|string|Object} source The page, or the exported data (as text or already parsed).
+ * @param {InternalSchedule} schedule
+ * @returns {SwapImport}
+ */
+function importSwapShifts(source, schedule) {
+	const turns = {};
+	for (const s of listSessions(schedule)) (turns[s.subject] ??= new Set()).add(s.turn);
+	const subjects = Object.keys(turns);
 
-		if (formattedDayHours.length > 0) formattedEntries += "  " + formattedDayHours.join("\n  ");
-		else formattedEntries += "  - Sem aulas";
+	const shifts = parseSwapShifts(source);
+	if (shifts.length === 0) throw new Error("Unable to import shifts: Could not find any subject and turn (like \"TP3\").");
+
+	const filter = {};
+	const warnings = [];
+	for (const shift of shifts) {
+		const match = matchSubject(shift.subject, subjects);
+		if (!match) {
+			warnings.push(`"${shift.subject}" (${shift.turn}) is not a subject of the schedule.`);
+			continue;
+		}
+
+		if (match.score < 1 && !warnings.includes(`"${shift.subject}" was matched to "${match.subject}".`)) {
+			warnings.push(`"${shift.subject}" was matched to "${match.subject}".`);
+		}
+
+		if (!turns[match.subject].has(shift.turn)) {
+			warnings.push(`${match.subject} has no ${shift.turn} turn on the schedule.`);
+			continue;
+		}
+
+		const chosen = (filter[match.subject] ??= []);
+		if (!chosen.includes(shift.turn)) chosen.push(shift.turn);
+	}
+
+	return { filter, warnings };
+}
+
+/**
+ * Finds the time when every student is free, for each weekday. Each student has their own schedule (so they can be from
+ * different courses) and filter.
+ *
+ * @example
+ * const free = findFreeTime([{ schedule, filter }, { schedule, filter: otherFilter }], { from: "09:00", to: "19:00", minDuration: 60 })
+ * console.log(formatFreeTime(free))
+ *
+ * @param {{ schedule: InternalSchedule, filter: Object.<string,string[]> }[]} students
+ * @param {FreeTimeOptions} [options]
+ * @returns {FreeTimeDay[]}
+ */
+function findFreeTime(students, options = {}) {
+	const { from = FREE_TIME_DEFAULTS.from, to = FREE_TIME_DEFAULTS.to, minDuration = FREE_TIME_DEFAULTS.minDuration, days = FREE_TIME_DEFAULTS.days } = options;
+	const [start, end] = [requireTime(from), requireTime(to)];
+	if (end <= start) throw new Error(`Invalid time range: ${from} - ${to} (expected the start before the end).`);
+
+	const busy = students.flatMap(s => listSessions(s.schedule).filter(c => (s.filter[c.subject] ?? []).includes(c.turn)));
+
+	return days.map(day => {
+		const classes = busy.filter(c => c.day === day).sort((a, b) => a.start - b.start);
+
+		// The free windows are the gaps between the classes (merged when they overlap), inside the time range
+		const windows = [];
+		let free = start;
+		for (const c of classes) {
+			if (free >= end) break;
+			if (c.start > free) windows.push([free, Math.min(c.start, end)]);
+			free = Math.max(free, c.end);
+		}
+		if (free < end) windows.push([free, end]);
+
+		return {
+			day,
+			windows: windows
+				.filter(([s, e]) => e - s >= minDuration)
+				.map(([s, e]) => ({ start: formatTime(s), end: formatTime(e), duration: e - s }))
+		};
+	});
+}
+
+/**
+ * Formats the free time of {@link findFreeTime}, as the text of {@link formatSchedule} or as JSON.
+ *
+ * @param {FreeTimeDay[]} freeTime
+ * @param {{ format?: "text"|"json", locale?: string|ScheduleLocale }} [options]
+ * @returns {string}
+ */
+function formatFreeTime(freeTime, options = {}) {
+	const { format = "text", locale = "pt" } = options;
+
+	const scheduleLocale = { ...SCHEDULE_LOCALES.pt, ...((typeof locale === "string") ? SCHEDULE_LOCALES[locale] : locale) };
+	if (typeof locale === "string" && !SCHEDULE_LOCALES[locale]) {
+		throw new Error(`Unknown locale: "${locale}" (expected ${Object.keys(SCHEDULE_LOCALES).join(", ")}).`);
+	}
+
+	const days = freeTime.map(d => ({ ...d, name: scheduleLocale.days[d.day] }));
+	if (format === "json") return JSON.stringify({ days }, null, 2);
+	if (format !== "text") throw new Error(`Unknown format: "${format}" (expected text, json).`);
+
+	let formattedEntries = "";
+	for (const day of days) {
+		formattedEntries += `${day.name}\n`;
+
+		const duration = (minutes) => `${Math.floor(minutes / 60)}h${(minutes % 60 > 0) ? String(minutes % 60).padStart(2, "0") : ""}`;
+		if (day.windows.length > 0) formattedEntries += "  " + day.windows.map(w => `- ${w.start} - ${w.end} | ${duration(w.duration)}`).join("\n  ");
+		else formattedEntries += `  - ${scheduleLocale.noFreeTime}`;
 
 		formattedEntries += "\n";
 	}
@@ -126,6 +701,577 @@ function formatSchedule(schedule, filter, abbr) {
 	return formattedEntries;
 }
 
+/**
+ * Compares two snapshots of a schedule (e.g. the JSON of {@link grabSchedule}, saved a week apart). The classes of each
+ * subject are paired in order of certainty:
+ * 1. the same turn, time and room (unchanged);
+ * 2. the same turn and time, on another room (`room`);
+ * 3. the same time and room, on another turn (`turn`, a renamed turn);
+ * 4. the same turn, on another time (`time`, possibly on another room too).
+ *
+ * The classes left unpaired were `removed` (from the old snapshot) or `added` (to the new one).
+ *
+ * @example
+ * const changes = diffSchedules(JSON.parse(lastWeek), grabSchedule(), filter)
+ * console.log(formatScheduleDiff(changes))
+ *
+ * @param {InternalSchedule} before The old snapshot.
+ * @param {InternalSchedule} after The new snapshot.
+ * @param {Object.<string,string[]>} [filter] Only reports the changes to these turns (on either snapshot).
+ * @returns {ScheduleChange[]} The changes, sorted by their (old or new) time.
+ */
+function diffSchedules(before, after, filter) {
+	const [oldSessions, newSessions] = [listSessions(before), listSessions(after)];
+	const sameTime = (a, b) => a.day === b.day && a.start === b.start && a.end === b.end;
+
+	/** @type {ScheduleChange[]} */
+	const changes = [];
+	const pair = (type, matches) => {
+		for (const a of [...oldSessions]) {
+			const b = newSessions.find(s => s.subject === a.subject && matches(a, s));
+			if (!b) continue;
+
+			oldSessions.splice(oldSessions.indexOf(a), 1);
+			newSessions.splice(newSessions.indexOf(b), 1);
+			if (type) changes.push({ type, subject: a.subject, before: describeSession(a), after: describeSession(b) });
+		}
+	};
+
+	pair(null, (a, b) => a.turn === b.turn && sameTime(a, b) && a.room === b.room);
+	pair("room", (a, b) => a.turn === b.turn && sameTime(a, b));
+	pair("turn", (a, b) => sameTime(a, b) && a.room === b.room);
+	pair("time", (a, b) => a.turn === b.turn);
+
+	for (const a of oldSessions) changes.push({ type: "removed", subject: a.subject, before: describeSession(a) });
+	for (const b of newSessions) changes.push({ type: "added", subject: b.subject, after: describeSession(b) });
+
+	const chosen = (c, side) => c[side] && (filter[c.subject] ?? []).includes(c[side].turn);
+	const time = (c) => { const s = c.before ?? c.after; return s.day * 24 * 60 + parseTime(s.start); };
+
+	return changes
+		.filter(c => !filter || chosen(c, "before") || chosen(c, "after"))
+		.sort((a, b) => time(a) - time(b));
+}
+
+/**
+ * Formats the changes of {@link diffSchedules}, as a readable change log (one change per line) or as JSON.
+ *
+ * @param {ScheduleChange[]} changes
+ * @param {{ format?: "text"|"json", locale?: string|ScheduleLocale }} [options]
+ * @returns {string}
+ */
+function formatScheduleDiff(changes, options = {}) {
+	const { format = "text", locale = "pt" } = options;
+
+	const scheduleLocale = { ...SCHEDULE_LOCALES.pt, ...((typeof locale === "string") ? SCHEDULE_LOCALES[locale] : locale) };
+	if (typeof locale === "string" && !SCHEDULE_LOCALES[locale]) {
+		throw new Error(`Unknown locale: "${locale}" (expected ${Object.keys(SCHEDULE_LOCALES).join(", ")}).`);
+	}
+
+	if (format === "json") return JSON.stringify({ changes }, null, 2);
+	if (format !== "text") throw new Error(`Unknown format: "${format}" (expected text, json).`);
+	if (changes.length === 0) return `${scheduleLocale.noChanges}\n`;
+
+	const when = (s) => `${scheduleLocale.days[s.day]}, ${s.start} - ${s.end}`;
+	const symbols = { added: "+", removed: "-", room: "~", turn: "~", time: "~" };
+
+	return changes.map(({ type, subject, before, after }) => {
+		let description;
+		switch (type) {
+			case "added": description = `${subject} ${after.turn}, ${when(after)} (${after.room})`; break;
+			case "removed": description = `${subject} ${before.turn}, ${when(before)} (${before.room})`; break;
+			case "room": description = `${subject} ${before.turn}, ${when(before)} (${before.room} → ${after.room})`; break;
+			case "turn": description = `${subject} ${before.turn} → ${after.turn}, ${when(before)} (${before.room})`; break;
+			case "time": description = `${subject} ${before.turn}, ${when(before)} (${before.room}) → ${when(after)} (${after.room})`; break;
+		}
+
+		return `${symbols[type]} ${scheduleLocale.changes[type]}: ${description}`;
+	}).join("\n") + "\n";
+}
+
+/**
+ * The definition of the Europe/Lisbon timezone: WET (UTC+0) in the winter and WEST (UTC+1) from the last Sunday of March
+ * to the last Sunday of October.
+ */
+const LISBON_VTIMEZONE = [
+	"BEGIN:VTIMEZONE",
+	"TZID:Europe/Lisbon",
+	"BEGIN:DAYLIGHT",
+	"TZOFFSETFROM:+0000",
+	"TZOFFSETTO:+0100",
+	"TZNAME:WEST",
+	"DTSTART:19700329T010000",
+	"RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+	"END:DAYLIGHT",
+	"BEGIN:STANDARD",
+	"TZOFFSETFROM:+0100",
+	"TZOFFSETTO:+0000",
+	"TZNAME:WET",
+	"DTSTART:19701025T020000",
+	"RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+	"END:STANDARD",
+	"END:VTIMEZONE"
+];
+
+/**
+ * Builds an abbreviation function (like the `abbr` of {@link formatSchedule}) from a map of subjects to abbreviations. The 
+ * abbreviation of a subject can also be a map of turn types ("T", "TP", "PL", ...) to abbreviations, with an optional default 
+ * ("*"). Subjects without an abbreviation keep their name.
+ *
+ * @example
+ * const abbr = abbrFromMap({ "Lógica": { "T": "L (T)", "*": "L" }, "Programação Imperativa": "PI" })
+ * abbr("Lógica", "T1") // L (T)
+ * abbr("Lógica", "TP3") // L
+ *
+ * @param {Object.<string, string|Object.<string, string>>} abbrs
+ * @returns {function(string, string): string}
+ */
+function abbrFromMap(abbrs) {
+	return (subject, turn) => {
+		const abbr = abbrs[subject];
+		if (typeof abbr === "string") return abbr;
+		if (!abbr) return subject;
+
+		return abbr[turnType(turn)] ?? abbr["*"] ?? subject;
+	};
+}
+
+/**
+ * Gets the classes of a time slot that belong to the chosen turns.
+ *
+ * @param {ScheduleEntry[]} entries
+ * @param {Object.<string,string[]>} filter
+ * @returns {ScheduleEntry[]}
+ */
+function filterEntries(entries, filter) {
+	return entries.filter(e => (filter[e.subject] ?? []).includes(e.turn));
+}
+
+/**
+ * Lists every class of the schedule, with it's weekday and times (in minutes since midnight).
+ *
+ * @param {InternalSchedule} schedule
+ * @returns {Session[]}
+ */
+function listSessions(schedule) {
+	/** @type {Session[]} */
+	const sessions = [];
+	for (const [dayKey, day] of Object.entries(schedule)) {
+		for (const [hourKey, hour] of Object.entries(day)) {
+			for (const entry of hour) {
+				const { start, end } = getEntryTimes(hourKey, entry);
+				sessions.push({ subject: entry.subject, turn: entry.turn, room: entry.room, day: parseInt(dayKey), start: parseTime(start), end: parseTime(end) });
+			}
+		}
+	}
+
+	return sessions;
+}
+
+/**
+ * @param {Session[]} sessions The classes of a combination of turns.
+ * @param {number} earliest The minutes since midnight before which a class is early.
+ * @returns {ShiftStats}
+ */
+function rankSessions(sessions, earliest) {
+	const stats = { early: 0, freeDays: 0, gaps: 0, buildingChanges: 0 };
+
+	for (let day = 0; day < 7; day++) {
+		const daySessions = sessions.filter(s => s.day === day).sort((a, b) => a.start - b.start);
+		if (daySessions.length === 0) {
+			if (day < 5) stats.freeDays++;
+			continue;
+		}
+
+		for (let i = 0; i < daySessions.length; i++) {
+			const current = daySessions[i], previous = daySessions[i - 1];
+			if (current.start < earliest) stats.early++;
+			if (!previous) continue;
+
+			if (current.start > previous.end) stats.gaps += current.start - previous.end;
+			else if (getBuilding(current.room) !== getBuilding(previous.room)) stats.buildingChanges++;
+		}
+	}
+
+	return stats;
+}
+
+/**
+ * @param {string} turn A turn, like "TP3".
+ * @returns {string} The type of the turn, like "TP".
+ */
+function turnType(turn) {
+	return turn.replace(/\d+$/, "");
+}
+
+/**
+ * @param {string} room A room, like "CP1 - 0.08".
+ * @returns {string} The building of the room, like "CP1".
+ */
+function getBuilding(room) {
+	return room.split(/\s*-\s*/)[0].trim();
+}
+
+/**
+ * Finds the subjects and turns of the SWAP shifts (see {@link importSwapShifts}), as written on the source.
+ *
+ * @param {Document|Element|string|Object} source
+ * @returns {{ subject: string, turn: string }[]}
+ */
+function parseSwapShifts(source) {
+	let rows;
+	if (typeof source === "string") {
+		let data;
+		try {
+			data = JSON.parse(source);
+		} catch {
+			data = null;
+		}
+
+		// Not JSON, so CSV (or TSV)
+		rows = data ? null : source.split(/\r?\n/).map(line => line.split(/[,;\t]/));
+		if (data) source = data;
+	} else if (typeof source?.querySelectorAll === "function") {
+		rows = Array.from(source.querySelectorAll("tr")).map(tr => Array.from(tr.children).map(td => td.textContent));
+
+		// Without a table, each line of the page may have a subject and it's turns
+		if (rows.length === 0) {
+			const text = (source.body ?? source).textContent;
+			rows = text.split(/\r?\n/).map(line => {
+				const match = /^(.*?)[\s\-–—:|(]+((?:[A-Z]{1,2}\d{1,2}[\s,;/]*)+)\)?$/.exec(line.trim());
+				return match ? [match[1], match[2]] : [];
+			});
+		}
+	}
+
+	const shifts = [];
+	if (rows) {
+		// Each row has a cell with the turns, and the other cell with most letters is the subject. A row with only turns
+		// continues the subject of the previous row.
+		let subject = null;
+		for (const row of rows) {
+			const cells = row.map(cell => cell.replace(/\s+/g, " ").trim()).filter(cell => cell !== "");
+			const turnCells = cells.filter(cell => SWAP_TURNS.test(cell));
+			if (turnCells.length === 0) continue;
+
+			const letters = (cell) => (cell.match(/\p{L}/gu) ?? []).length;
+			const named = cells.filter(cell => !SWAP_TURNS.test(cell) && letters(cell) > 1).sort((a, b) => letters(b) - letters(a));
+			if (named.length > 0) subject = named[0];
+			if (subject === null) continue;
+
+			for (const cell of turnCells) {
+				for (const turn of cell.split(/[\s,;/]+/)) if (turn) shifts.push({ subject, turn: turn.toUpperCase() });
+			}
+		}
+
+		return shifts;
+	}
+
+	// Exported JSON: a filter, or a list of objects with the subject and the turns under any of the usual names
+	const entries = Array.isArray(source) ? source : Object.entries(source ?? {}).map(([subject, turns]) => ({ subject, turns }));
+	for (const entry of entries) {
+		const subject = ["subject", "course", "name", "uc", "disciplina", "cadeira"].map(k => entry?.[k]).find(v => typeof v === "string");
+		const turns = ["turns", "turn", "shifts", "shift", "turnos", "turno"].map(k => entry?.[k]).find(v => v !== undefined);
+		if (!subject || !turns) continue;
+
+		for (const turn of [turns].flat()) shifts.push({ subject, turn: String(turn).trim().toUpperCase() });
+	}
+
+	return shifts;
+}
+
+/**
+ * A cell with one or more turns, like "TP3" or "T1, PL7".
+ */
+const SWAP_TURNS = /^[A-Z]{1,2}\d{1,2}(?:\s*[,;/]?\s*[A-Z]{1,2}\d{1,2})*$/i;
+
+/**
+ * Finds the subject most similar to a name. The names are compared without case, accents, punctuation or parenthesized
+ * codes; an abbreviation (the initials of a subject, like "PI" or "LI II") is a match, and otherwise the similarity is the
+ * fraction of shared letter pairs (the Sørensen–Dice coefficient).
+ *
+ * @param {string} name
+ * @param {string[]} subjects
+ * @returns {{ subject: string, score: number }|null} The subject and it's similarity (1 is the same name), or null if none is
+ *   similar enough.
+ */
+function matchSubject(name, subjects) {
+	const normalize = (text) => text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase()
+		.replace(/\([^)]*\)/g, " ").replace(/[^a-z0-9]+/g, " ").trim();
+	const bigrams = (text) => {
+		const compact = text.replace(/ /g, "");
+		return Array.from({ length: Math.max(0, compact.length - 1) }, (_, i) => compact.substring(i, i + 2));
+	};
+	const stopWords = ["a", "o", "e", "de", "da", "do", "das", "dos", "em", "para", "of", "and", "the", "to"];
+
+	const target = normalize(name);
+	let best = null;
+	for (const subject of subjects) {
+		const normalized = normalize(subject);
+
+		// The roman numerals (and numbers) are kept whole on the initials ("Laboratórios de Informática II" is "LIII")
+		const initials = normalized.split(" ").filter(w => !stopWords.includes(w))
+			.map(w => /^([ivx]+|\d+)$/.test(w) ? w : w[0]).join("");
+
+		let score;
+		if (normalized === target) score = 1;
+		else if (target.replace(/ /g, "") === initials) score = 0.9;
+		else if (target.length >= 4 && (normalized.includes(target) || target.includes(normalized))) score = 0.8;
+		else {
+			const [a, b] = [bigrams(target), bigrams(normalized)];
+			const remaining = [...b];
+			let shared = 0;
+			for (const pair of a) {
+				const index = remaining.indexOf(pair);
+				if (index >= 0) {
+					shared++;
+					remaining.splice(index, 1);
+				}
+			}
+
+			score = (a.length + b.length > 0) ? 2 * shared / (a.length + b.length) : 0;
+		}
+
+		if (!best || score > best.score) best = { subject, score };
+	}
+
+	return (best && best.score >= 0.5) ? best : null;
+}
+
+/**
+ * @param {Session} session
+ * @returns {ScheduleChangeClass}
+ */
+function describeSession(session) {
+	return { turn: session.turn, room: session.room, day: session.day, start: formatTime(session.start), end: formatTime(session.end) };
+}
+
+/**
+ * Gathers the chosen classes of each day of the schedule, sorted by their start, for the formatters.
+ *
+ * @param {InternalSchedule} schedule
+ * @param {Object.<string,string[]>} filter
+ * @param {function(string, string): string} abbr
+ * @param {ScheduleLocale} locale
+ * @param {string} [title] Defaults to the title of the locale.
+ * @returns {ScheduleView}
+ */
+function buildScheduleView(schedule, filter, abbr, locale, title = locale.title) {
+	const days = Object.entries(schedule).map(([dayKey, day]) => {
+		const classes = [];
+		for (const [hourKey, hour] of Object.entries(day)) {
+			for (const entry of filterEntries(hour, filter)) {
+				const { start, end } = getEntryTimes(hourKey, entry);
+				classes.push({ subject: entry.subject, name: abbr(entry.subject, entry.turn), turn: entry.turn, room: entry.room, start, end });
+			}
+		}
+
+		classes.sort((a, b) => parseTime(a.start) - parseTime(b.start));
+		return { day: parseInt(dayKey), name: locale.days[dayKey], classes };
+	});
+
+	return { title, locale, days };
+}
+
+/**
+ * Gets the times shown by the grid formatters: from the hour of the first class to the hour after the last one (08:00 to
+ * 20:00 without classes), in slots that fit every class (an hour, or less with classes on the half hour).
+ *
+ * @param {ScheduleView} view
+ * @returns {{ start: number, end: number, step: number }} The times, in minutes since midnight.
+ */
+function getTimeRange(view) {
+	const times = view.days.flatMap(d => d.classes.flatMap(c => [parseTime(c.start), parseTime(c.end)]));
+	if (times.length === 0) return { start: 8 * 60, end: 20 * 60, step: 60 };
+
+	const gcd = (a, b) => (b === 0) ? a : gcd(b, a % b);
+	return {
+		start: Math.floor(Math.min(...times) / 60) * 60,
+		end: Math.ceil(Math.max(...times) / 60) * 60,
+		step: times.reduce((step, t) => gcd(step, t % 60), 60)
+	};
+}
+
+/**
+ * Groups the classes of a day that overlap (directly or through other classes), so they can share a cell.
+ *
+ * @param {ScheduleViewClass[]} classes The classes, sorted by their start.
+ * @returns {{ start: number, end: number, classes: ScheduleViewClass[] }[]} The times are in minutes since midnight.
+ */
+function groupOverlapping(classes) {
+	const blocks = [];
+	for (const c of classes) {
+		const [start, end] = [parseTime(c.start), parseTime(c.end)];
+		const last = blocks[blocks.length - 1];
+
+		if (last && start < last.end) {
+			last.end = Math.max(last.end, end);
+			last.classes.push(c);
+		} else {
+			blocks.push({ start, end, classes: [c] });
+		}
+	}
+
+	return blocks;
+}
+
+/**
+ * @param {string} subject
+ * @param {number} lightness The lightness (0 to 100) of the color.
+ * @returns {string} A color ("#RRGGBB") whose hue depends only on the subject.
+ */
+function subjectColor(subject, lightness) {
+	let hash = 0;
+	for (const char of subject) hash = (hash * 31 + char.codePointAt(0)) % 1000003;
+
+	// The golden angle spreads the hues of similar hashes around the color wheel
+	const hue = (hash * 137.508) % 360;
+
+	// HSL to RGB, with a saturation of 60%
+	const l = lightness / 100, a = 0.6 * Math.min(l, 1 - l);
+	const channel = (n) => {
+		const k = (n + hue / 30) % 12;
+		return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)))).toString(16).padStart(2, "0");
+	};
+
+	return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+/**
+ * Escapes the special characters of a text for HTML (and XML).
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+	return String(text).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+/**
+ * Gets the start and end times ("HH:MM") of a class. Entries grabbed without their times (older schedules) assume the slot
+ * index is the number of hours after 08:00.
+ *
+ * @param {string|number} hourKey
+ * @param {ScheduleEntry} entry
+ * @returns {{ start: string, end: string }}
+ */
+function getEntryTimes(hourKey, entry) {
+	if (entry.start && entry.end) return { start: entry.start, end: entry.end };
+
+	const start = (8 + parseInt(hourKey)) * 60;
+	return { start: formatTime(start), end: formatTime(start + Math.round(entry.time * 60)) };
+}
+
+/**
+ * @param {number} minutes The minutes since midnight.
+ * @returns {string} The time, as "HH:MM".
+ */
+function formatTime(minutes) {
+	return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * @param {string} time A time, as "H:MM", "HH:MM", "8 AM" or "8:30 PM" (with nothing else, other than whitespace). "24:00" is
+ *   the midnight at the end of the day, for the end of a time range.
+ * @returns {number|null} The minutes since midnight, or null if it isn't a time.
+ * @throws {Error} If it's written as a time, but out of range (like "25:00" or "10:60").
+ */
+function parseTime(time) {
+	const match = /^(\d{1,2})(?:[:h](\d{2}))?\s*(AM|PM)?$/i.exec(time.trim());
+	if (!match) return null;
+
+	let hours = parseInt(match[1]);
+	const minutes = parseInt(match[2] ?? "0");
+	if (hours === 24 && match[2] === "00" && !match[3]) return 24 * 60;
+
+	if ((match[3] ? (hours < 1 || hours > 12) : hours > 23) || minutes > 59) {
+		throw new Error(`Invalid time: "${time}" (expected 00:00 to 24:00, or 1:00 to 12:59 AM/PM).`);
+	}
+
+	hours %= (match[3] ? 12 : 24);
+	if (match[3] && match[3].toUpperCase() === "PM") hours += 12;
+
+	return hours * 60 + minutes;
+}
+
+/**
+ * Like {@link parseTime}, for the times given as options, which must be times.
+ *
+ * @param {string} time
+ * @returns {number} The minutes since midnight.
+ * @throws {Error} If it isn't a time, or it's out of range.
+ */
+function requireTime(time) {
+	const minutes = parseTime(time);
+	if (minutes === null) throw new Error(`Invalid time: "${time}" (expected HH:MM).`);
+
+	return minutes;
+}
+
+/**
+ * @param {string} date A date, as "YYYY-MM-DD".
+ * @returns {Date} The date, at midnight UTC.
+ */
+function parseDate(date) {
+	const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+	if (!match) throw new Error(`Invalid date: "${date}" (expected YYYY-MM-DD).`);
+
+	return new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])));
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} The date, as "YYYYMMDD".
+ */
+function formatDate(date) {
+	return date.toISOString().substring(0, 10).replace(/-/g, "");
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} The date and time in UTC, as "YYYYMMDDTHHMMSSZ".
+ */
+function formatDateTime(date) {
+	return date.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+/**
+ * Escapes the backslashes, semicolons, commas and newlines of an iCalendar text value.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeICalendarText(text) {
+	return String(text).replace(/[\\;,]/g, c => `\\${c}`).replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds an iCalendar line into lines of at most 75 octets, as required by RFC 5545. The continuation lines start with a space.
+ *
+ * @param {string} line
+ * @returns {string}
+ */
+function foldICalendarLine(line) {
+	const encoder = new TextEncoder();
+	const lines = [];
+
+	let current = "", size = 0;
+	for (const char of line) {
+		const charSize = encoder.encode(char).length;
+		if (size + charSize > (lines.length === 0 ? 75 : 74)) {
+			lines.push(current);
+			current = "";
+			size = 0;
+		}
+
+		current += char;
+		size += charSize;
+	}
+
+	lines.push(current);
+	return lines.join("\r\n ");
+}
+
 /**
  * @param {string} sel 
  * @param {(e: NodeListOf<Element>) => boolean} cond
@@ -139,35 +1285,113 @@ function getChildOrThrow(elem = document, sel, cond, err) {
 	return elems;
 }
 
+/**
+ * Works out the time grid of the schedule table. The start time and the minutes of each row come from the time labels of the
+ * vertical header (e.g. one label per hour, over two rows of 30 minutes). The height of a row, used to measure the classes,
+ * comes from the rows themselves: their style (or the style of their cells), the style of the rows of the time labels, or
+ * else their height on the page.
+ *
+ * Without labels, the table starts at 08:00 with rows of 30 minutes (every other row has the `rsAlt` class) or an hour.
+ *
+ * @param {Element} scheduleTable
+ * @param {NodeListOf<Element>|Element[]} rows
+ * @returns {TimeGrid}
+ */
+function getTimeGrid(scheduleTable, rows) {
+	const labels = Array.from(scheduleTable.querySelectorAll("table.rsVerticalHeaderTable th"))
+		.map(th => parseTime(th.textContent))
+		.filter(t => t !== null);
+
+	let start = 8 * 60;
+	let step = Array.from(rows).some(r => r.matches(".rsAlt")) ? 30 : 60;
+	if (labels.length > 0) {
+		const labelStep = (labels.length > 1) ? labels[1] - labels[0] : 60;
+		const rowsPerLabel = rows.length / labels.length;
+
+		if (labelStep <= 0 || !Number.isInteger(rowsPerLabel) || labelStep % rowsPerLabel !== 0) {
+			throw new Error(`Unable to grab schedule: The ${labels.length} time labels (${labels.map(formatTime).join(", ")}) don't match the ${rows.length} table rows.`);
+		}
+
+		start = labels[0];
+		step = labelStep / rowsPerLabel;
+	}
+
+	// The time labels may span several rows, so their rows are measured together
+	const styleHeight = (e) => parseFloat(e.style?.height) || parseFloat(e.children[0]?.style?.height) || 0;
+	const labelRows = Array.from(scheduleTable.querySelectorAll("table.rsVerticalHeaderTable tr"));
+	const labelsHeight = labelRows.every(tr => styleHeight(tr) > 0) ? labelRows.reduce((sum, tr) => sum + styleHeight(tr), 0) : 0;
+
+	const rowHeight = styleHeight(rows[0]) || labelsHeight / rows.length || (rows[0].getBoundingClientRect?.().height ?? 0);
+
+	if (!(rowHeight > 0)) {
+		throw new Error("Unable to grab schedule: Could not find the height of the table rows (on the style of the rows, their cells or the time labels), which measures the classes.");
+	}
+
+	return { start, step, rowHeight };
+}
+
+/**
+ * Gets the weekday (0 is Monday) of each column of the schedule table, from the day names of the horizontal header (e.g.
+ * "seg, 14" or "Monday"). Without a header, the columns start on Monday.
+ *
+ * @param {Element} scheduleTable
+ * @param {number} count The number of columns.
+ * @returns {number[]}
+ */
+function getDayColumns(scheduleTable, count) {
+	const names = ["seg", "ter", "qua", "qui", "sex", "sáb", "dom"];
+	const englishNames = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+
+	const headers = Array.from(scheduleTable.querySelectorAll("table.rsHorizontalHeaderTable th"));
+	const days = [];
+	for (let i = 0; i < count; i++) {
+		const name = (headers[i]?.textContent ?? "").trim().toLowerCase().replace("sab", "sáb").substring(0, 3);
+		const day = Math.max(names.indexOf(name), englishNames.indexOf(name));
+
+		days.push((day >= 0) ? day : (days.length > 0) ? days[days.length - 1] + 1 : i);
+	}
+
+	return days;
+}
+
 /**
  * @param {Element} row
+ * @param {number} time The start time of the row, in minutes since midnight.
+ * @param {TimeGrid} grid
+ * @param {number[]} days The weekday of each column.
  * @returns { ScheduleEntry[][] }
  */
-function iterateTableRow(row) {
+function iterateTableRow(row, time, grid, days) {
+	const dayNames = ["Segunda-Feira", "Terça-Feira", "Quarta-Feira", "Quinta-Feira", "Sexta-Feira", "Sábado", "Domingo"];
 	const children = Array.from(row.children)
 
 	/** @type { ScheduleEntry[][] } */
 	const entries = []
 
 	for (let i = 0; i < children.length; i++) {
-		const child = children[i];
-		if (child.innerHTML === "&nbsp;") {
-			entries.push([]);
-			continue;
-		}
-
-		const data = Array.from(child.querySelectorAll("div.rsWrap > div"));
-		if (data.length === 0) continue;
+		const data = Array.from(children[i].querySelectorAll("div.rsWrap > div"));
 
 		/** @type {ScheduleEntry[]} */
 		const dayEntries = data.map(e => {
-			const parts = e.getAttribute("title").split("\n");
+			const title = e.getAttribute("title");
+			const parts = (title ?? "").split(/\r?\n/).map(p => p.trim());
+			if (parts.length < 3 || parts.slice(0, 3).some(p => p === "")) {
+				const where = `${dayNames[days[i]] ?? `column ${i + 1}`} at ${formatTime(time)}`;
+				throw new Error(`Unable to grab schedule: Malformed class on ${where}: expected a title with the subject, room and turn on separate lines, but got ${JSON.stringify(title)}.`);
+			}
+
+			// The classes span as many rows as their height (minus the margins)
+			const rowSpan = Math.max(1, Math.round(parseFloat(e.style.height) / grid.rowHeight) || 1);
+			const duration = rowSpan * grid.step;
 
 			return {
-				subject: parts[0].trim(),
-				room: parts[1].trim(),
-				turn: parts[2].trim(),
-				time: (e.style.height === "116px") ? 1 : 2
+				subject: parts[0],
+				room: parts[1],
+				turn: parts[2],
+				time: duration / 60,
+				start: formatTime(time),
+				end: formatTime(time + duration),
+				duration
 			}
 		})
 
@@ -177,27 +1401,176 @@ function iterateTableRow(row) {
 	return entries;
 }
 
+// Allows the functions to be required from Node.js (see schedule-cli.js), while still being pasteable into a browser console.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		grabSchedule, formatSchedule, exportICalendar, findClashes, solveShifts, importSwapShifts, findFreeTime, formatFreeTime,
+		diffSchedules, formatScheduleDiff, abbrFromMap, filterEntries, getEntryTimes, SCHEDULE_FORMATTERS, SCHEDULE_LOCALES,
+		FREE_TIME_DEFAULTS
+	};
+}
+
 /**
  * @typedef {Object} ScheduleEntry
  * @property {string} subject
  * @property {string} room
  * @property {string} turn
- * @property {number} time
+ * @property {number} time The duration, in hours.
+ * @property {string} [start] The start time, as "HH:MM".
+ * @property {string} [end] The end time, as "HH:MM".
+ * @property {number} [duration] The duration, in minutes.
  */
 
 /**
+ * The classes of each weekday (0 is Monday), by the index of the row (time slot) they start on.
+ *
  * @typedef {Object} InternalSchedule
  * @property {InternalScheduleEntry} 0
  * @property {InternalScheduleEntry} 1
  * @property {InternalScheduleEntry} 2
  * @property {InternalScheduleEntry} 3
  * @property {InternalScheduleEntry} 4
+ * @property {InternalScheduleEntry} [5]
+ * @property {InternalScheduleEntry} [6]
  */
 
 /**
  * @typedef {Object.<string, ScheduleEntry[]>} InternalScheduleEntry
  */
 
+/**
+ * @typedef {Object} TimeGrid
+ * @property {number} start The start time of the first row, in minutes since midnight.
+ * @property {number} step The minutes of each row.
+ * @property {number} rowHeight The height of each row, in pixels.
+ */
+
+/**
+ * @typedef {Object} ICalendarOptions
+ * @property {string} start The first day of the semester, as "YYYY-MM-DD".
+ * @property {string} end The last day of the semester, as "YYYY-MM-DD".
+ * @property {string[]} [holidays] The days without classes, as "YYYY-MM-DD".
+ * @property {string} [name="Horário"] The name of the calendar.
+ * @property {Date} [now] The creation time of the events (DTSTAMP). Defaults to the current time.
+ */
+
+/**
+ * @typedef {Object} FormatOptions
+ * @property {string} [format="text"] The name of the formatter (see {@link SCHEDULE_FORMATTERS}).
+ * @property {string|ScheduleLocale} [locale="pt"] The name of the locale (see {@link SCHEDULE_LOCALES}), or a custom one.
+ * @property {string} [title] The title of the schedule (on the HTML, SVG and JSON). Defaults to the title of the locale.
+ */
+
+/**
+ * @typedef {Object} ScheduleLocale
+ * @property {string} lang The language code (e.g. "pt").
+ * @property {string[]} days The names of the weekdays, from Monday to Sunday.
+ * @property {string} noClasses The label of a day without classes.
+ * @property {string} noFreeTime The label of a day without free time (see {@link formatFreeTime}).
+ * @property {string} noChanges The label of two equal schedules (see {@link formatScheduleDiff}).
+ * @property {Object.<string, string>} changes The label of each type of change (see {@link formatScheduleDiff}).
+ * @property {string} time The header of the times column.
+ * @property {string} title The default title of the schedule.
+ */
+
+/**
+ * The chosen classes, as given to the formatters.
+ *
+ * @typedef {Object} ScheduleView
+ * @property {string} title
+ * @property {ScheduleLocale} locale
+ * @property {{ day: number, name: string, classes: ScheduleViewClass[] }[]} days The days of the schedule (0 is Monday).
+ */
+
+/**
+ * @typedef {Object} ScheduleViewClass
+ * @property {string} subject
+ * @property {string} name The abbreviation of the subject.
+ * @property {string} turn
+ * @property {string} room
+ * @property {string} start The start time, as "HH:MM".
+ * @property {string} end The end time, as "HH:MM".
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {string} subject
+ * @property {string} turn
+ * @property {string} room
+ * @property {number} day The weekday (0 is Monday).
+ * @property {number} start The start time, in minutes since midnight.
+ * @property {number} end The end time, in minutes since midnight.
+ */
+
+/**
+ * @typedef {Object} Clash
+ * @property {number} day The weekday (0 is Monday).
+ * @property {string} start The start of the overlap, as "HH:MM".
+ * @property {string} end The end of the overlap, as "HH:MM".
+ * @property {{ subject: string, turn: string, room: string, start: string, end: string }[]} classes The two overlapping classes.
+ */
+
+/**
+ * @typedef {Object} ShiftPreferences
+ * @property {string} [earliest="09:00"] The classes that start before this time (as "HH:MM") are early.
+ * @property {number} [limit=10] The maximum number of solutions.
+ * @property {{ early?: number, freeDays?: number, gaps?: number, buildings?: number }} [weights] The weight of each criteria,
+ *   per early class, free day, hour of gaps and change of building. All default to 1.
+ */
+
+/**
+ * @typedef {Object} ShiftStats
+ * @property {number} early The number of classes that start before the earliest time.
+ * @property {number} freeDays The number of weekdays (Monday to Friday) without classes.
+ * @property {number} gaps The minutes between classes of the same day.
+ * @property {number} buildingChanges The number of back-to-back classes on different buildings.
+ */
+
+/**
+ * @typedef {Object} ShiftSolution
+ * @property {Object.<string,string[]>} filter The chosen turns, usable by {@link formatSchedule}.
+ * @property {number} score The lower, the better.
+ * @property {ShiftStats} stats
+ */
+
+/**
+ * @typedef {Object} SwapImport
+ * @property {Object.<string,string[]>} filter The chosen turns, usable by {@link formatSchedule}.
+ * @property {string[]} warnings The subjects matched to a different name, and the shifts left out (not on the schedule).
+ */
+
+/**
+ * @typedef {Object} FreeTimeOptions
+ * @property {string} [from] The start of the day, as "HH:MM" (see {@link FREE_TIME_DEFAULTS} for the defaults).
+ * @property {string} [to] The end of the day, as "HH:MM".
+ * @property {number} [minDuration] The minimum duration of a free window, in minutes.
+ * @property {number[]} [days] The weekdays (0 is Monday).
+ */
+
+/**
+ * @typedef {Object} FreeTimeDay
+ * @property {number} day The weekday (0 is Monday).
+ * @property {{ start: string, end: string, duration: number }[]} windows The free windows (as "HH:MM", and their duration in
+ *   minutes).
+ */
+
+/**
+ * @typedef {Object} ScheduleChange
+ * @property {"added"|"removed"|"room"|"turn"|"time"} type
+ * @property {string} subject
+ * @property {ScheduleChangeClass} [before] The class on the old snapshot (except when added).
+ * @property {ScheduleChangeClass} [after] The class on the new snapshot (except when removed).
+ */
+
+/**
+ * @typedef {Object} ScheduleChangeClass
+ * @property {string} turn
+ * @property {string} room
+ * @property {number} day The weekday (0 is Monday).
+ * @property {string} start The start time, as "HH:MM".
+ * @property {string} end The end time, as "HH:MM".
+ */
+
 /**
  * @typedef {Object} Schedule
  * @property {string} Segunda-Feira
@@ -205,4 +1578,5 @@ function iterateTableRow(row) {
  * @property {string} Quarta-Feira
  * @property {string} Quinta-Feira
  * @property {string} Sexta-Feira
+ * @property {string} [Sábado]
  */